@@ -3,7 +3,8 @@ console.log('Environment detected:', isLocal ? 'Development' : 'Production');
 
 var gameState = {
     websocket: null,
-    isConnected: false
+    isConnected: false,
+    deckKey: null
 };
 
 document.addEventListener('DOMContentLoaded', function() {
@@ -18,23 +19,25 @@ document.addEventListener('DOMContentLoaded', function() {
         var playerName = document.getElementById('playerName').value.trim();
         var sessionCode = document.getElementById('sessionCode').value.trim().toUpperCase();
         var isSpectator = document.getElementById('isSpectator').checked;
+        var passcode = document.getElementById('sessionPasscode').value;
         
         if (!playerName) {
             console.error('Player name is required');
             return;
         }
         
-        if (!sessionCode) {
-            sessionCode = generateSessionCode();
-        }
-        
         if (gameState.isConnected) {
             console.log('Sending join session message...');
             var message = {
                 action: 'joinSession',
-                sessionCode: sessionCode,
-                playerName: playerName,
-                isSpectator: isSpectator
+                data: {
+                    // Left empty, the server starts a new session and sends its code back
+                    sessionCode: sessionCode || undefined,
+                    playerName: playerName,
+                    isSpectator: isSpectator,
+                    passcode: passcode || undefined,
+                    playerToken: (sessionCode && loadPlayerToken(sessionCode, playerName)) || undefined
+                }
             };
             
             gameState.websocket.send(JSON.stringify(message));
@@ -57,6 +60,10 @@ function connectToWebSocket() {
         updateConnectionStatus('connected');
     };
     
+    gameState.websocket.onmessage = function(event) {
+        handleWebSocketMessage(event.data);
+    };
+    
     gameState.websocket.onerror = function(error) {
         console.error('WebSocket error:', error);
         updateConnectionStatus('disconnected');
@@ -71,13 +78,26 @@ function updateConnectionStatus(status) {
     }
 }
 
-function generateSessionCode() {
-    var chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
-    var result = "";
-    for (var i = 0; i < 6; i++) {
-        result += chars.charAt(Math.floor(Math.random() * chars.length));
+// The server hands out a player token on first join; it is needed to take
+// the same name again after a reload or dropped connection
+function playerTokenKey(sessionCode, playerName) {
+    return 'planningPoker.playerToken.' + sessionCode + '.' + playerName;
+}
+
+function loadPlayerToken(sessionCode, playerName) {
+    try {
+        return window.localStorage.getItem(playerTokenKey(sessionCode, playerName));
+    } catch (error) {
+        return null;
+    }
+}
+
+function savePlayerToken(sessionCode, playerName, playerToken) {
+    try {
+        window.localStorage.setItem(playerTokenKey(sessionCode, playerName), playerToken);
+    } catch (error) {
+        console.warn('Could not store player token:', error);
     }
-    return result;
 }
 
 function handleWebSocketMessage(data) {
@@ -87,6 +107,12 @@ function handleWebSocketMessage(data) {
         var message = JSON.parse(data);
         console.log('Parsed backend message:', message);
         
+        if (message.type === 'sessionUpdate') {
+            renderCards(message.data.deck, message.data.specialCards);
+            updateBreakIndicator(message.data.breakRequested);
+            return;
+        }
+        
         if (message.type === 'sessionJoined' || 
             message.action === 'sessionJoined' || 
             message.status === 'success' ||
@@ -95,6 +121,11 @@ function handleWebSocketMessage(data) {
             
             console.log('Session join detected - transitioning to game interface');
             
+            var joined = message.data || message;
+            if (joined.playerToken && joined.sessionCode && joined.playerName) {
+                savePlayerToken(joined.sessionCode, joined.playerName, joined.playerToken);
+            }
+            
             var joinForm = document.getElementById('joinForm');
             var sessionInterface = document.getElementById('sessionInterface');
             
@@ -103,8 +134,8 @@ function handleWebSocketMessage(data) {
                 sessionInterface.style.display = 'block';
                 console.log('Interface transition completed');
                 
-                var sessionCode = message.sessionCode || document.getElementById('sessionCode').value || 'UNKNOWN';
-                var playerName = message.playerName || document.getElementById('playerName').value || 'Player';
+                var sessionCode = joined.sessionCode || document.getElementById('sessionCode').value || 'UNKNOWN';
+                var playerName = joined.playerName || document.getElementById('playerName').value || 'Player';
                 
                 document.getElementById('currentSessionCode').textContent = sessionCode;
                 document.getElementById('currentPlayerName').textContent = playerName;
@@ -120,3 +151,58 @@ function handleWebSocketMessage(data) {
         document.getElementById('sessionInterface').style.display = 'block';
     }
 }
+
+// Cards come from the session's deck, so every session can use its own scale.
+// The "?" and "☕" cards follow the deck's own cards.
+function renderCards(deck, specialCards) {
+    var container = document.getElementById('deckCards');
+    if (!container || !deck) return;
+    
+    var cards = deck.cards.concat(specialCards || []);
+    
+    // Only rebuild when the deck changes, so the selected card stays highlighted
+    var deckKey = JSON.stringify(cards);
+    if (deckKey === gameState.deckKey) return;
+    gameState.deckKey = deckKey;
+    
+    container.innerHTML = '';
+    cards.forEach(function(card) {
+        var cardElement = document.createElement('div');
+        cardElement.className = 'deck-card';
+        cardElement.setAttribute('data-value', card);
+        cardElement.textContent = formatCard(card);
+        cardElement.addEventListener('click', function() {
+            castVote(card, cardElement);
+        });
+        container.appendChild(cardElement);
+    });
+}
+
+function updateBreakIndicator(breakRequested) {
+    var indicator = document.getElementById('breakIndicator');
+    if (indicator) {
+        indicator.style.display = breakRequested ? 'block' : 'none';
+    }
+}
+
+function formatCard(card) {
+    return card === 0.5 ? '½' : String(card);
+}
+
+function castVote(card, cardElement) {
+    if (!gameState.isConnected) {
+        console.log('WebSocket not connected yet');
+        return;
+    }
+    
+    var cards = document.querySelectorAll('.deck-card');
+    for (var i = 0; i < cards.length; i++) {
+        cards[i].classList.remove('selected');
+    }
+    cardElement.classList.add('selected');
+    
+    gameState.websocket.send(JSON.stringify({
+        action: 'castVote',
+        data: { vote: card }
+    }));
+}
@@ -1,20 +1,41 @@
 // serverless/api.js
 // HTTP API handlers for Planning Poker
 
-const { createSession, getSession } = require('./db');
-
-// Generate a random session code
-function generateSessionCode() {
-  return Math.random().toString(36).substr(2, 8).toUpperCase();
-}
+const { createSession, getSession, modifySession } = require('./db');
+const { getSessionState, getRounds, validateSessionOptions, importStories, checkPasscode } = require('./game');
+const { JIRA_FORMATS, chooseFormat, exportSession, exportJira, validateJiraField } = require('./export');
+const { parseImport } = require('./import');
+const { notifySession } = require('./websocket-handler');
+// Routes taking a session code count 404s as guesses (see rate-limit.js)
+const { guardLookup } = require('./rate-limit');
+const { createSessionCode } = require('./session-code');
 
 // Create session endpoint
 exports.createSession = async (event) => {
   console.log('📋 API: Creating new session');
   
   try {
-    const sessionCode = generateSessionCode();
-    await createSession(sessionCode);
+    const body = event.body ? JSON.parse(event.body) : {};
+    const checked = validateSessionOptions(body);
+    
+    if (checked.error) {
+      console.log('❌ API: Invalid session options:', checked.error.message);
+      return {
+        statusCode: 400,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          error: 'Invalid session options',
+          message: checked.error.message,
+          code: checked.error.code
+        })
+      };
+    }
+    
+    const sessionCode = await createSessionCode();
+    await createSession(sessionCode, checked.options);
     
     // Determine frontend URL based on environment
     const frontendUrl = process.env.FRONTEND_URL || 
@@ -30,7 +51,8 @@ exports.createSession = async (event) => {
       },
       body: JSON.stringify({
         sessionCode: sessionCode,
-        shareUrl: frontendUrl + '?session=' + sessionCode
+        shareUrl: frontendUrl + '?session=' + sessionCode,
+        hasPasscode: Boolean(checked.options.passcodeHash)
       })
     };
     
@@ -54,7 +76,7 @@ exports.createSession = async (event) => {
 };
 
 // Get session endpoint
-exports.getSession = async (event) => {
+exports.getSession = guardLookup(async (event) => {
   console.log('📋 API: Getting session');
   
   try {
@@ -78,6 +100,9 @@ exports.getSession = async (event) => {
       };
     }
     
+    const denied = passcodeResponse(event, session);
+    if (denied) return denied;
+    
     const response = {
       statusCode: 200,
       headers: {
@@ -86,11 +111,7 @@ exports.getSession = async (event) => {
       },
       body: JSON.stringify({
         sessionCode: sessionCode,
-        state: {
-          players: session.players || {},
-          votesRevealed: session.votesRevealed || false,
-          hasConsensus: false // Calculate if needed
-        },
+        state: getSessionState(session),
         shareUrl: (process.env.FRONTEND_URL || 'http://localhost:8080') + '?session=' + sessionCode
       })
     };
@@ -112,7 +133,352 @@ exports.getSession = async (event) => {
       })
     };
   }
-};
+});
+
+// Round history endpoint
+exports.getRounds = guardLookup(async (event) => {
+  console.log('📋 API: Getting round history');
+  
+  try {
+    const sessionCode = event.pathParameters.sessionCode.toUpperCase();
+    const session = await getSession(sessionCode);
+    
+    if (!session) {
+      console.log('❌ API: Session not found:', sessionCode);
+      return {
+        statusCode: 404,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ 
+          error: 'Session not found',
+          sessionCode: sessionCode
+        })
+      };
+    }
+    
+    const denied = passcodeResponse(event, session);
+    if (denied) return denied;
+    
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        sessionCode: sessionCode,
+        rounds: getRounds(session)
+      })
+    };
+    
+  } catch (error) {
+    console.error('❌ API: Error getting rounds:', error);
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ 
+        error: 'Failed to get rounds',
+        message: error.message
+      })
+    };
+  }
+});
+
+// Header lookup that ignores case (API Gateway passes headers as sent)
+function getHeader(event, name) {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+// Sessions created with a passcode only show their players, votes and stories
+// to callers sending it in the X-Session-Passcode header. A 403 counts as a
+// guess for rate-limit.js like a 404 does.
+function passcodeResponse(event, session) {
+  const error = checkPasscode(session, getHeader(event, 'x-session-passcode'));
+  if (!error) return null;
+  
+  console.log('❌ API: Passcode rejected for', session.sessionCode);
+  return {
+    statusCode: 403,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      error: error.message,
+      code: error.code
+    })
+  };
+}
+
+// Session export endpoint: ?format=json|csv|markdown or the Accept header
+exports.exportSession = guardLookup(async (event) => {
+  console.log('📋 API: Exporting session');
+  
+  try {
+    const sessionCode = event.pathParameters.sessionCode.toUpperCase();
+    const query = event.queryStringParameters || {};
+    const choice = chooseFormat(query.format, getHeader(event, 'accept'));
+    
+    if (choice.error) {
+      return {
+        statusCode: choice.error.status,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          error: choice.error.message,
+          code: choice.error.code
+        })
+      };
+    }
+    
+    const session = await getSession(sessionCode);
+    
+    if (!session) {
+      console.log('❌ API: Session not found:', sessionCode);
+      return {
+        statusCode: 404,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ 
+          error: 'Session not found',
+          sessionCode: sessionCode
+        })
+      };
+    }
+    
+    const denied = passcodeResponse(event, session);
+    if (denied) return denied;
+    
+    const exported = exportSession(session, choice.format);
+    
+    console.log('✅ API: Session exported as', choice.format + ':', sessionCode);
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': exported.contentType,
+        'Content-Disposition': 'attachment; filename="' + exported.filename + '"'
+      },
+      body: exported.body
+    };
+    
+  } catch (error) {
+    console.error('❌ API: Error exporting session:', error);
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ 
+        error: 'Failed to export session',
+        message: error.message
+      })
+    };
+  }
+});
+
+// Jira export endpoint: ?format=csv|json (or Accept) and ?field=<story
+// points field id>, for scripts that push estimates back to Jira
+exports.exportJira = guardLookup(async (event) => {
+  console.log('📋 API: Exporting Jira estimates');
+  
+  try {
+    const sessionCode = event.pathParameters.sessionCode.toUpperCase();
+    const query = event.queryStringParameters || {};
+    const choice = chooseFormat(query.format, getHeader(event, 'accept'), JIRA_FORMATS);
+    const checked = choice.error ? choice : validateJiraField(query.field);
+    
+    if (checked.error) {
+      return {
+        statusCode: checked.error.status,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          error: checked.error.message,
+          code: checked.error.code
+        })
+      };
+    }
+    
+    const session = await getSession(sessionCode);
+    
+    if (!session) {
+      console.log('❌ API: Session not found:', sessionCode);
+      return {
+        statusCode: 404,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ 
+          error: 'Session not found',
+          sessionCode: sessionCode
+        })
+      };
+    }
+    
+    const denied = passcodeResponse(event, session);
+    if (denied) return denied;
+    
+    const exported = exportJira(session, choice.format, checked.field);
+    
+    console.log('✅ API: Jira estimates exported as', choice.format + ':', sessionCode);
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': exported.contentType,
+        'Content-Disposition': 'attachment; filename="' + exported.filename + '"'
+      },
+      body: exported.body
+    };
+    
+  } catch (error) {
+    console.error('❌ API: Error exporting Jira estimates:', error);
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ 
+        error: 'Failed to export Jira estimates',
+        message: error.message
+      })
+    };
+  }
+});
+
+// Query parameters that map a file column to a story field, e.g. ?title=Summary
+const IMPORT_MAPPING_FIELDS = ['key', 'title', 'description', 'estimate', 'link'];
+
+// Backlog import endpoint: a CSV or JSON file as the request body. Valid rows
+// are added to the session's stories; the rest come back as per-row errors.
+exports.importStories = guardLookup(async (event) => {
+  console.log('📋 API: Importing stories');
+  
+  try {
+    const sessionCode = event.pathParameters.sessionCode.toUpperCase();
+    const query = event.queryStringParameters || {};
+    const mapping = {};
+    IMPORT_MAPPING_FIELDS.forEach(field => {
+      if (query[field]) mapping[field] = query[field];
+    });
+    
+    const body = event.isBase64Encoded
+      ? Buffer.from(event.body || '', 'base64').toString('utf8')
+      : event.body || '';
+    const parsed = parseImport(body, getHeader(event, 'content-type'), mapping);
+    
+    if (parsed.error || parsed.stories.length === 0) {
+      console.log('❌ API: Nothing to import for', sessionCode);
+      return {
+        statusCode: 400,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(parsed.error ? {
+          error: parsed.error.message,
+          code: parsed.error.code
+        } : {
+          error: 'No valid stories found in the file',
+          code: 'INVALID_IMPORT',
+          errors: parsed.errors
+        })
+      };
+    }
+    
+    const result = await modifySession(sessionCode, session =>
+      importStories(session, {
+        stories: parsed.stories,
+        playerName: query.playerName,
+        playerToken: getHeader(event, 'x-player-token')
+      })
+    );
+    
+    if (!result) {
+      console.log('❌ API: Session not found:', sessionCode);
+      return {
+        statusCode: 404,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ 
+          error: 'Session not found',
+          sessionCode: sessionCode
+        })
+      };
+    }
+    
+    if (result.error) {
+      // A 403 counts as a guess for rate-limit.js, like a wrong passcode
+      return {
+        statusCode: result.error.code === 'NOT_AUTHORIZED' ? 403 : 400,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          error: result.error.message,
+          code: result.error.code
+        })
+      };
+    }
+    
+    // The stories are saved by now: a failed broadcast must not turn into a
+    // 500, or the caller would retry and import them twice
+    try {
+      await notifySession(sessionCode, result.events);
+    } catch (error) {
+      console.error('❌ API: Error broadcasting imported stories:', error);
+    }
+    
+    console.log('✅ API: Imported', parsed.stories.length, 'stories into', sessionCode);
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        sessionCode: sessionCode,
+        imported: parsed.stories.length,
+        errors: parsed.errors,
+        stories: getSessionState(result.session).stories
+      })
+    };
+    
+  } catch (error) {
+    console.error('❌ API: Error importing stories:', error);
+    return {
+      statusCode: 500,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ 
+        error: 'Failed to import stories',
+        message: error.message
+      })
+    };
+  }
+});
 
 // Health check endpoint
 exports.healthCheck = async (event) => {
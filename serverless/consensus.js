@@ -0,0 +1,105 @@
+// serverless/consensus.js
+// Consensus policies a session can choose from (ES5 syntax, no const/let)
+// Directory: serverless/consensus.js
+//
+// A policy is stored in the session settings as { type, ...options }:
+//   { type: 'exact' }                      every estimate is the same card (default)
+//   { type: 'adjacent' }                   estimates span at most two neighbouring deck cards
+//   { type: 'majority', percentage: 80 }   at least percentage% played the same card
+//   { type: 'spread', maxSpread: 3 }       highest minus lowest estimate is at most maxSpread
+// Label decks (e.g. T-shirt sizes) measure spread in deck positions.
+
+var stats = require('./stats');
+
+var DEFAULT_MAJORITY_PERCENTAGE = 80;
+
+function invalid(message) {
+  return { error: { code: 'INVALID_SETTINGS', message: message } };
+}
+
+function isNumeric(cards) {
+  for (var i = 0; i < cards.length; i++) {
+    if (typeof cards[i] !== 'number') return false;
+  }
+  return true;
+}
+
+// Check a policy sent by a client, given as a type name or { type, ... }.
+// Returns { policy } or { error }.
+function validatePolicy(input) {
+  var type = input && typeof input === 'object' ? input.type : input;
+
+  if (type === 'exact' || type === 'adjacent') {
+    return { policy: { type: type } };
+  }
+
+  if (type === 'majority') {
+    var percentage = input.percentage === undefined ? DEFAULT_MAJORITY_PERCENTAGE : input.percentage;
+    if (typeof percentage !== 'number' || percentage <= 50 || percentage > 100) {
+      return invalid('consensusPolicy.percentage must be a number above 50 and at most 100');
+    }
+    return { policy: { type: type, percentage: percentage } };
+  }
+
+  if (type === 'spread') {
+    if (typeof input.maxSpread !== 'number' || !isFinite(input.maxSpread) || input.maxSpread < 0) {
+      return invalid('consensusPolicy.maxSpread must be a number of 0 or more');
+    }
+    return { policy: { type: type, maxSpread: input.maxSpread } };
+  }
+
+  return invalid('consensusPolicy.type must be one of: exact, adjacent, majority, spread');
+}
+
+// The card most estimates agree on and what share of the estimates played it
+function mostPlayed(votes) {
+  var counts = {};
+  var best = null;
+  votes.forEach(function(vote) {
+    counts[String(vote)] = (counts[String(vote)] || 0) + 1;
+    if (best === null || counts[String(vote)] > counts[String(best)]) {
+      best = vote;
+    }
+  });
+  return { card: best, share: (counts[String(best)] / votes.length) * 100 };
+}
+
+// Evaluate a revealed round. estimates are { playerName, vote } entries
+// without special cards. Returns { reached, policy, card }: policy names the
+// rule that was met ('exact' whenever everyone agrees, since that satisfies
+// any policy) and card is the agreed estimate; both are null when not reached.
+function evaluate(estimates, cards, policy) {
+  var none = { reached: false, policy: null, card: null };
+  if (estimates.length === 0) return none;
+
+  var votes = estimates.map(function(estimate) { return estimate.vote; });
+  var top = mostPlayed(votes);
+
+  if (top.share === 100) {
+    return { reached: true, policy: 'exact', card: top.card };
+  }
+
+  policy = policy || { type: 'exact' };
+
+  if (policy.type === 'majority') {
+    return top.share >= policy.percentage
+      ? { reached: true, policy: 'majority', card: top.card }
+      : none;
+  }
+
+  var positions = votes.map(function(vote) { return cards.indexOf(vote); });
+  var values = policy.type === 'spread' && isNumeric(cards) ? votes : positions;
+  var spread = Math.max.apply(null, values) - Math.min.apply(null, values);
+  var limit = policy.type === 'adjacent' ? 1 : policy.maxSpread;
+
+  if ((policy.type === 'adjacent' || policy.type === 'spread') && spread <= limit) {
+    return { reached: true, policy: policy.type, card: stats.roundStats(estimates, cards).nearestCard };
+  }
+
+  return none;
+}
+
+module.exports = {
+  validatePolicy: validatePolicy,
+  evaluate: evaluate
+};
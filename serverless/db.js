@@ -2,137 +2,241 @@
 // Fixed database helper functions with ES5 syntax (no const/let)
 // Directory: serverless/db.js
 
-// Check if running offline/locally first
-var isOffline = process.env.IS_OFFLINE || process.env.NODE_ENV === 'development';
+var game = require('./game');
+var storage = require('./storage');
 
-// Only configure AWS SDK if not running offline
-var dynamodb = null;
-if (!isOffline) {
-  var AWS = require('aws-sdk');
-  
-  // Configure DynamoDB for production
-  dynamodb = new AWS.DynamoDB.DocumentClient({
-    region: process.env.AWS_REGION || 'us-east-1'
-  });
-}
-
-// In-memory storage for local development (simulates DynamoDB)
-var localSessions = new Map();
-var localConnections = new Map();
+// Storage backend (memory, file or DynamoDB) - see storage/index.js.
+// Chosen from STORAGE_ADAPTER, defaulting to memory offline and DynamoDB in AWS.
+var store = storage.createStore();
 
-var SESSIONS_TABLE = process.env.SESSIONS_TABLE || 'planning-poker-sessions-dev';
-var CONNECTIONS_TABLE = process.env.CONNECTIONS_TABLE || 'planning-poker-connections-dev';
+console.log('🔧 Database initialized with', store.name, 'storage');
 
-console.log('🔧 Database initialized in', isOffline ? 'LOCAL' : 'PRODUCTION', 'mode');
+// Swap the storage backend, e.g. a test's own store or the file adapter
+function useStore(newStore) {
+  store = newStore;
+  console.log('🔧 Database switched to', store.name || 'custom', 'storage');
+  return store;
+}
 
 // Session management functions
-function createSession(sessionCode) {
+// options: checked { settings, deck } (see game.validateSessionOptions)
+function createSession(sessionCode, options) {
   console.log('📝 Creating session:', sessionCode);
   
-  var session = {
-    sessionCode: sessionCode,
-    players: {},
-    votesRevealed: false,
-    createdAt: new Date().toISOString(),
-    expiresAt: Math.floor(Date.now() / 1000) + 7200 // 2 hours TTL
-  };
-  
-  if (isOffline) {
-    // Store in memory for local development
-    localSessions.set(sessionCode, session);
-    console.log('💾 Session stored in memory (local dev)');
-    return Promise.resolve(session);
-  } else {
-    // Store in DynamoDB for production
-    var params = {
-      TableName: SESSIONS_TABLE,
-      Item: session
-    };
-    
-    return dynamodb.put(params).promise().then(function() {
-      console.log('☁️ Session stored in DynamoDB (production)');
-      return session;
-    });
-  }
+  return store.putSession(game.createSession(sessionCode, options)).then(function(session) {
+    console.log('💾 Session stored (' + store.name + ')');
+    return session;
+  });
 }
 
 function getSession(sessionCode) {
   console.log('🔍 Getting session:', sessionCode);
   
-  if (isOffline) {
-    // Get from memory for local development
-    var session = localSessions.get(sessionCode);
-    console.log('💾 Retrieved from memory (local dev):', !!session);
-    return Promise.resolve(session);
-  } else {
-    // Get from DynamoDB for production
-    var params = {
-      TableName: SESSIONS_TABLE,
-      Key: { sessionCode: sessionCode }
-    };
-    
-    return dynamodb.get(params).promise().then(function(result) {
-      console.log('☁️ Retrieved from DynamoDB (production):', !!result.Item);
-      return result.Item;
-    });
-  }
+  return store.getSession(sessionCode).then(function(session) {
+    console.log('💾 Retrieved session (' + store.name + '):', !!session);
+    return session;
+  });
 }
 
-function updateSession(sessionCode, updates) {
+function isVersionConflict(error) {
+  return Boolean(error) && error.code === 'VERSION_CONFLICT';
+}
+
+// Every write bumps the session's version. When expectedVersion is given the
+// write only succeeds if nobody else has written since that version was read.
+function updateSession(sessionCode, updates, expectedVersion) {
   console.log('✏️ Updating session:', sessionCode, 'with', Object.keys(updates));
   
-  if (isOffline) {
-    // Update in memory for local development
-    var session = localSessions.get(sessionCode);
-    if (session) {
-      // Create updated session object
-      var updatedSession = {};
-      for (var key in session) {
-        if (session.hasOwnProperty(key)) {
-          updatedSession[key] = session[key];
-        }
-      }
-      for (var updateKey in updates) {
-        if (updates.hasOwnProperty(updateKey)) {
-          updatedSession[updateKey] = updates[updateKey];
-        }
-      }
-      
-      localSessions.set(sessionCode, updatedSession);
-      console.log('💾 Session updated in memory (local dev)');
-      return Promise.resolve(updatedSession);
-    } else {
-      console.log('❌ Session not found in memory:', sessionCode);
-      return Promise.resolve(null);
+  return store.updateSession(sessionCode, updates, expectedVersion).then(function(session) {
+    console.log('💾 Session updated (' + store.name + '):', !!session);
+    return session;
+  }, function(error) {
+    if (isVersionConflict(error)) {
+      console.log('⚠️ Version conflict:', sessionCode);
     }
-  } else {
-    // Update in DynamoDB for production
-    var updateExpressions = [];
-    var expressionAttributeNames = {};
-    var expressionAttributeValues = {};
+    throw error;
+  });
+}
+
+// Store a brand new session record, failing if the code is already taken
+function insertSession(session) {
+  return store.insertSession(session);
+}
+
+var MAX_MODIFY_ATTEMPTS = 5;
+
+// Optimistic read-modify-write for game actions. `apply` receives the latest
+// session and returns a game engine result ({ session, events } or { error }).
+// If another writer got in first, the session is re-read and `apply` runs
+// again on the fresh copy, so concurrent votes and joins are never lost.
+// With createIfMissing, `apply` gets a new session when none exists yet.
+// Resolves with the result (its session as stored), or null if not found.
+function modifySession(sessionCode, apply, createIfMissing, attempt) {
+  attempt = attempt || 1;
+  
+  return getSession(sessionCode).then(function(session) {
+    var base = session || (createIfMissing ? game.createSession(sessionCode) : null);
+    if (!base) return null;
     
-    for (var key in updates) {
-      if (updates.hasOwnProperty(key)) {
-        updateExpressions.push('#' + key + ' = :' + key);
-        expressionAttributeNames['#' + key] = key;
-        expressionAttributeValues[':' + key] = updates[key];
-      }
-    }
+    var result = apply(base);
+    if (!result || result.error) return result;
     
-    var params = {
-      TableName: SESSIONS_TABLE,
-      Key: { sessionCode: sessionCode },
-      UpdateExpression: 'SET ' + updateExpressions.join(', '),
-      ExpressionAttributeNames: expressionAttributeNames,
-      ExpressionAttributeValues: expressionAttributeValues,
-      ReturnValues: 'ALL_NEW'
-    };
+    var write = session
+      ? updateSession(sessionCode, game.getSessionUpdates(result.session), session.version || 0)
+      : insertSession(result.session);
     
-    return dynamodb.update(params).promise().then(function(result) {
-      console.log('☁️ Session updated in DynamoDB (production)');
-      return result.Attributes;
+    return write.then(function(storedSession) {
+      result.session = storedSession;
+      return result;
+    }, function(error) {
+      if (isVersionConflict(error) && attempt < MAX_MODIFY_ATTEMPTS) {
+        console.log('🔁 Retrying update of session', sessionCode, '(attempt ' + (attempt + 1) + ')');
+        return modifySession(sessionCode, apply, createIfMissing, attempt + 1);
+      }
+      throw error;
     });
+  });
+}
+
+// Write players.<playerName> in place so the rest of the players map is never
+// read back and rewritten (a DynamoDB nested update expression). `mode` is
+//   'add'    - store `fields` as a new player (fails with PLAYER_EXISTS)
+//   'update' - set `fields` on an existing player (fails with CONDITION_FAILED)
+//   'vote'   - like 'update', but only while votes are still hidden
+// Every write bumps the session version so optimistic writers notice it.
+function writePlayer(sessionCode, playerName, fields, mode) {
+  return store.writePlayer(sessionCode, playerName, fields, mode);
+}
+
+// Add a new player without touching anyone else's entry
+function addPlayer(sessionCode, playerName, player) {
+  console.log('➕ Adding player', playerName, 'to session', sessionCode);
+  return writePlayer(sessionCode, playerName, player, 'add');
+}
+
+// Set individual attributes of one existing player
+function updatePlayer(sessionCode, playerName, fields) {
+  console.log('✏️ Updating player', playerName, 'in session', sessionCode, 'with', Object.keys(fields));
+  return writePlayer(sessionCode, playerName, fields, 'update');
+}
+
+// Record one player's vote while the round is still open
+function setPlayerVote(sessionCode, playerName, vote) {
+  console.log('🗳️ Setting vote for', playerName, 'in session', sessionCode);
+  return writePlayer(sessionCode, playerName, { hasVoted: true, vote: vote }, 'vote');
+}
+
+// Join (or rejoin) a session with targeted player writes. Resolves with a
+// game engine result: { session, events, playerName, playerToken, reconnected }
+// or { error }. Rejoining under a taken name needs data.playerToken. The
+// session must exist already (SESSION_NOT_FOUND otherwise).
+function joinPlayer(sessionCode, data) {
+  var checked = game.validatePlayerName(data.playerName);
+  if (checked.error) return Promise.resolve(checked);
+  
+  var playerName = checked.playerName;
+  
+  function joined(session, reconnected) {
+    return {
+      session: session,
+      events: game.joinEvents(session, playerName, reconnected),
+      playerName: playerName,
+      playerToken: game.issuePlayerToken(session, playerName),
+      reconnected: reconnected
+    };
   }
+  
+  return getSession(sessionCode)
+    .then(function(existing) {
+      if (!existing) return { error: game.sessionNotFound() };
+      
+      // Reconnects need the passcode too, or a known name would bypass it
+      var passcodeError = game.checkPasscode(existing, data.passcode);
+      if (passcodeError) return { error: passcodeError };
+      
+      return addPlayer(sessionCode, playerName, game.createPlayer(data.isSpectator))
+        .then(function(session) {
+          return claimFacilitator(sessionCode, session, playerName, 1).then(function(claimed) {
+            return joined(claimed, false);
+          });
+        }, function(error) {
+          if (error.code !== 'PLAYER_EXISTS') throw error;
+          
+          // The name is taken: only its owner, holding the token, may reclaim it
+          var claimError = game.checkPlayerToken(existing, playerName, data.playerToken);
+          if (claimError) return { error: claimError };
+          
+          return updatePlayer(sessionCode, playerName, {
+            connected: true,
+            disconnectedAt: null,
+            connectedAt: new Date().toISOString()
+          })
+            .then(function(session) {
+              return claimFacilitator(sessionCode, session, playerName, 1);
+            })
+            .then(function(session) {
+              return joined(session, true);
+            });
+        });
+    });
+}
+
+// The first player into a session (its creator) becomes the facilitator.
+// Conditional on the version we saw, so two first joiners cannot both win.
+function claimFacilitator(sessionCode, session, playerName, attempt) {
+  if (session.facilitator) return Promise.resolve(session);
+  
+  return updateSession(sessionCode, { facilitator: playerName }, session.version || 0)
+    .catch(function(error) {
+      if (!isVersionConflict(error) || attempt >= MAX_MODIFY_ATTEMPTS) throw error;
+      
+      return getSession(sessionCode).then(function(latest) {
+        return claimFacilitator(sessionCode, latest, playerName, attempt + 1);
+      });
+    });
+}
+
+// Once the vote that completed the round is stored, flip votesRevealed.
+// Conditional on the version we saw, so a reset in between is never undone.
+function revealIfComplete(sessionCode, session, attempt) {
+  if (!game.shouldAutoReveal(session)) return Promise.resolve(session);
+  
+  return updateSession(sessionCode, game.revealUpdates(session), session.version || 0)
+    .catch(function(error) {
+      if (!isVersionConflict(error) || attempt >= MAX_MODIFY_ATTEMPTS) throw error;
+      
+      return getSession(sessionCode).then(function(latest) {
+        return revealIfComplete(sessionCode, latest, attempt + 1);
+      });
+    });
+}
+
+// Cast a vote with a targeted player write. Resolves with a game engine
+// result ({ session, events } or { error }), or null if the session is gone.
+function recordVote(sessionCode, playerName, vote, attempt) {
+  attempt = attempt || 1;
+  
+  return getSession(sessionCode).then(function(session) {
+    if (!session) return null;
+    
+    var error = game.validateVote(session, { playerName: playerName, vote: vote });
+    if (error) return { error: error };
+    
+    // Store the deck's own card so "5" and 5 end up as the same vote
+    return setPlayerVote(sessionCode, playerName, game.deckCard(session, vote))
+      .then(function(storedSession) {
+        return revealIfComplete(sessionCode, storedSession, 1);
+      })
+      .then(function(storedSession) {
+        return { session: storedSession, events: game.voteEvents(storedSession, playerName) };
+      }, function(writeError) {
+        // The round changed under us (e.g. revealed); re-validate against fresh state
+        if (writeError.code === 'CONDITION_FAILED' && attempt < MAX_MODIFY_ATTEMPTS) {
+          return recordVote(sessionCode, playerName, vote, attempt + 1);
+        }
+        throw writeError;
+      });
+  });
 }
 
 // Connection management functions
@@ -148,144 +252,80 @@ function storeConnection(connectionId, sessionCode, playerName, isSpectator) {
     expiresAt: Math.floor(Date.now() / 1000) + 7200
   };
   
-  if (isOffline) {
-    // Store in memory for local development
-    localConnections.set(connectionId, connection);
-    console.log('💾 Connection stored in memory (local dev)');
-    return Promise.resolve();
-  } else {
-    // Store in DynamoDB for production
-    var params = {
-      TableName: CONNECTIONS_TABLE,
-      Item: connection
-    };
-    
-    return dynamodb.put(params).promise().then(function() {
-      console.log('☁️ Connection stored in DynamoDB (production)');
-    });
-  }
+  return store.putConnection(connection).then(function() {
+    console.log('💾 Connection stored (' + store.name + ')');
+  });
 }
 
 function getConnection(connectionId) {
   console.log('🔍 Getting connection:', connectionId);
   
-  if (isOffline) {
-    // Get from memory for local development
-    var connection = localConnections.get(connectionId);
-    console.log('💾 Retrieved connection from memory (local dev):', !!connection);
-    return Promise.resolve(connection);
-  } else {
-    // Get from DynamoDB for production
-    var params = {
-      TableName: CONNECTIONS_TABLE,
-      Key: { connectionId: connectionId }
-    };
-    
-    return dynamodb.get(params).promise().then(function(result) {
-      console.log('☁️ Retrieved connection from DynamoDB (production):', !!result.Item);
-      return result.Item;
-    });
-  }
+  return store.getConnection(connectionId).then(function(connection) {
+    console.log('💾 Retrieved connection (' + store.name + '):', !!connection);
+    return connection;
+  });
 }
 
 function removeConnection(connectionId) {
   console.log('🗑️ Removing connection:', connectionId);
   
-  if (isOffline) {
-    // Remove from memory for local development
-    var removed = localConnections.delete(connectionId);
-    console.log('💾 Connection removed from memory (local dev):', removed);
-    return Promise.resolve();
-  } else {
-    // Remove from DynamoDB for production
-    var params = {
-      TableName: CONNECTIONS_TABLE,
-      Key: { connectionId: connectionId }
-    };
-    
-    return dynamodb.delete(params).promise().then(function() {
-      console.log('☁️ Connection removed from DynamoDB (production)');
-    });
-  }
+  return store.deleteConnection(connectionId).then(function() {
+    console.log('💾 Connection removed (' + store.name + ')');
+  });
 }
 
 function getConnectionsBySession(sessionCode) {
   console.log('🔍 Getting connections for session:', sessionCode);
   
-  if (isOffline) {
-    // Get from memory for local development
-    var connections = [];
-    localConnections.forEach(function(connection) {
-      if (connection.sessionCode === sessionCode) {
-        connections.push(connection);
-      }
-    });
-    console.log('💾 Found', connections.length, 'connections in memory (local dev)');
-    return Promise.resolve(connections);
-  } else {
-    // Get from DynamoDB for production
-    var params = {
-      TableName: CONNECTIONS_TABLE,
-      IndexName: 'SessionIndex',
-      KeyConditionExpression: 'sessionCode = :sessionCode',
-      ExpressionAttributeValues: {
-        ':sessionCode': sessionCode
-      }
-    };
-    
-    return dynamodb.query(params).promise().then(function(result) {
-      console.log('☁️ Found', result.Items.length, 'connections in DynamoDB (production)');
-      return result.Items;
-    });
-  }
+  return store.getConnectionsBySession(sessionCode).then(function(connections) {
+    console.log('💾 Found', connections.length, 'connections (' + store.name + ')');
+    return connections;
+  });
 }
 
-// Utility function to check consensus
-function checkConsensus(session) {
-  if (!session.votesRevealed) return false;
-  
-  var votes = [];
-  for (var playerName in session.players) {
-    if (session.players.hasOwnProperty(playerName)) {
-      var player = session.players[playerName];
-      if (!player.isSpectator && player.hasVoted) {
-        votes.push(player.vote);
-      }
-    }
-  }
-  
-  if (votes.length === 0) return false;
-  
-  // Check if all votes are the same
-  var firstVote = votes[0];
-  for (var i = 0; i < votes.length; i++) {
-    if (votes[i] !== firstVote) {
-      return false;
-    }
-  }
-  return true;
+// Failed-attempt counters for rate-limit.js. They go through the store so
+// every server instance and Lambda container counts the same guesses.
+function getAttempts(key) {
+  return store.getAttempts(key);
+}
+
+function addFailedAttempt(key, expiresAt) {
+  return store.addFailedAttempt(key, expiresAt);
 }
 
+function putAttempts(attempts) {
+  return store.putAttempts(attempts);
+}
+
+// Consensus rules live in the game engine
+var checkConsensus = game.checkConsensus;
+
 // Debug function to show current state
 function debugState() {
-  console.log('📊 Debug State:');
-  console.log('  Sessions in memory:', localSessions.size);
-  console.log('  Connections in memory:', localConnections.size);
-  
-  localSessions.forEach(function(session, code) {
-    var playerCount = Object.keys(session.players || {}).length;
-    console.log('  Session ' + code + ': ' + playerCount + ' players');
-  });
+  console.log('📊 Debug State (' + store.name + ' storage):');
+  if (store.debugState) {
+    store.debugState();
+  }
 }
 
 module.exports = {
+  useStore: useStore,
   createSession: createSession,
   getSession: getSession,
   updateSession: updateSession,
+  modifySession: modifySession,
+  addPlayer: addPlayer,
+  updatePlayer: updatePlayer,
+  setPlayerVote: setPlayerVote,
+  joinPlayer: joinPlayer,
+  recordVote: recordVote,
   storeConnection: storeConnection,
   getConnection: getConnection,
   removeConnection: removeConnection,
   getConnectionsBySession: getConnectionsBySession,
+  getAttempts: getAttempts,
+  addFailedAttempt: addFailedAttempt,
+  putAttempts: putAttempts,
   checkConsensus: checkConsensus,
   debugState: debugState
 }
\ No newline at end of file
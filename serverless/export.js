@@ -0,0 +1,274 @@
+// serverless/export.js
+// Session summary export as JSON, CSV or Markdown (ES5 syntax, no const/let)
+// Directory: serverless/export.js
+
+var game = require('./game');
+
+var FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' }
+};
+
+var FORMAT_ALIASES = { md: 'markdown' };
+
+var MEDIA_TYPES = {
+  'application/json': 'json',
+  'text/csv': 'csv',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown'
+};
+
+// Jira's "Story point estimate" field on most Jira Cloud sites
+var DEFAULT_STORY_POINTS_FIELD = 'customfield_10016';
+var JIRA_FORMATS = ['csv', 'json'];
+
+// Pick the export format from ?format= (wins) or the Accept header.
+// allowed: the formats on offer (default all of them).
+// Returns { format } or { error: { status, code, message } }.
+function chooseFormat(queryFormat, acceptHeader, allowed) {
+  allowed = allowed || Object.keys(FORMATS);
+
+  if (queryFormat) {
+    var name = String(queryFormat).toLowerCase();
+    name = FORMAT_ALIASES[name] || name;
+
+    if (allowed.indexOf(name) === -1) {
+      return {
+        error: {
+          status: 400,
+          code: 'UNSUPPORTED_FORMAT',
+          message: 'format must be one of: ' + allowed.join(', ')
+        }
+      };
+    }
+    return { format: name };
+  }
+
+  if (!acceptHeader) return { format: 'json' };
+
+  var mediaTypes = String(acceptHeader).split(',').map(function(part) {
+    return part.split(';')[0].trim().toLowerCase();
+  });
+
+  for (var i = 0; i < mediaTypes.length; i++) {
+    var format = MEDIA_TYPES[mediaTypes[i]];
+    if (format && allowed.indexOf(format) !== -1) return { format: format };
+    if (mediaTypes[i] === '*/*' || mediaTypes[i] === 'application/*') return { format: 'json' };
+    if (mediaTypes[i] === 'text/*' && allowed.indexOf('csv') !== -1) return { format: 'csv' };
+  }
+
+  return {
+    error: {
+      status: 406,
+      code: 'NOT_ACCEPTABLE',
+      message: 'Export is available as ' + allowed.map(function(name) {
+        return FORMATS[name].contentType.split(';')[0];
+      }).join(', ')
+    }
+  };
+}
+
+// The estimate committed while a round was open (commits are only allowed
+// after that round's reveal, before the next round starts)
+function estimateForRound(estimates, round) {
+  var found = null;
+  estimates.forEach(function(estimate) {
+    if (estimate.committedAt >= round.startedAt && estimate.committedAt <= round.endedAt) {
+      found = estimate;
+    }
+  });
+  return found;
+}
+
+// Everything the export formats show, as plain data (also the JSON export)
+function buildSummary(session) {
+  var estimates = game.getEstimatesLog(session);
+  var rounds = game.getRounds(session).slice();
+
+  var current = game.currentRoundEntry(session);
+  if (current) {
+    current.inProgress = true;
+    rounds.push(current);
+  }
+
+  return {
+    sessionCode: session.sessionCode,
+    exportedAt: new Date().toISOString(),
+    stories: game.getStories(session).map(function(story) {
+      return {
+        id: story.id,
+        title: story.title,
+        link: story.link || '',
+        status: story.status,
+        estimate: story.estimate === undefined ? null : story.estimate
+      };
+    }),
+    estimates: estimates,
+    rounds: rounds.map(function(round) {
+      var estimate = estimateForRound(estimates, round);
+      return {
+        number: round.number,
+        story: round.storyTitle || (estimate ? estimate.label : ''),
+        votes: round.votes,
+        consensus: round.consensus.reached ? round.consensus.card : null,
+        finalEstimate: estimate ? estimate.value : null,
+        revealedAt: round.revealedAt,
+        durationSeconds: round.durationSeconds,
+        revotes: round.revotes,
+        inProgress: Boolean(round.inProgress)
+      };
+    })
+  };
+}
+
+// Everyone who voted in any round, in first-seen order
+function voterNames(rounds) {
+  var names = [];
+  rounds.forEach(function(round) {
+    Object.keys(round.votes).forEach(function(name) {
+      if (names.indexOf(name) === -1) names.push(name);
+    });
+  });
+  return names;
+}
+
+function roundRows(summary) {
+  var names = voterNames(summary.rounds);
+  var header = ['Round', 'Story'].concat(names, ['Consensus', 'Final Estimate', 'Revealed At', 'Duration (s)', 'Re-votes']);
+
+  var rows = summary.rounds.map(function(round) {
+    return [round.number, round.story].concat(names.map(function(name) {
+      return round.votes.hasOwnProperty(name) ? round.votes[name] : '';
+    }), [
+      round.consensus,
+      round.finalEstimate,
+      round.revealedAt,
+      round.durationSeconds,
+      round.revotes
+    ]);
+  });
+
+  return [header].concat(rows);
+}
+
+// Quote when needed, and stop spreadsheets treating text as a formula
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  var text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = "'" + text;
+  }
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function markdownCell(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function markdownTable(rows) {
+  var lines = rows.map(function(row) {
+    return '| ' + row.map(markdownCell).join(' | ') + ' |';
+  });
+  lines.splice(1, 0, '|' + rows[0].map(function() { return ' --- '; }).join('|') + '|');
+  return lines.join('\n');
+}
+
+// One row per round: the story, every player's vote and the outcome
+function toCsv(summary) {
+  return roundRows(summary).map(function(row) {
+    return row.map(csvCell).join(',');
+  }).join('\r\n') + '\r\n';
+}
+
+function toMarkdown(summary) {
+  var sections = ['# Planning Poker session ' + summary.sessionCode, '', 'Exported ' + summary.exportedAt];
+
+  if (summary.stories.length) {
+    var storyRows = [['Story', 'Status', 'Estimate']].concat(summary.stories.map(function(story) {
+      return [story.link ? '[' + story.title + '](' + story.link + ')' : story.title, story.status, story.estimate];
+    }));
+    sections.push('', '## Stories', '', markdownTable(storyRows));
+  }
+
+  sections.push('', '## Rounds', '');
+  sections.push(summary.rounds.length ? markdownTable(roundRows(summary)) : '_No rounds yet._');
+
+  return sections.join('\n') + '\n';
+}
+
+// Render a session in the given format: { contentType, filename, body }
+function exportSession(session, format) {
+  var summary = buildSummary(session);
+  var body = format === 'csv' ? toCsv(summary)
+    : format === 'markdown' ? toMarkdown(summary)
+    : JSON.stringify(summary, null, 2);
+
+  return {
+    contentType: FORMATS[format].contentType,
+    filename: 'planning-poker-' + session.sessionCode + '.' + FORMATS[format].extension,
+    body: body
+  };
+}
+
+// Jira export: the revealed story points of every keyed round, as Jira's
+// CSV import shape (csv) or as edit-issue bodies a script can PUT to
+// /rest/api/2/issue/{key} (json). Issues without numeric points are left out.
+// storyPointsField: the Jira field id for story points, e.g. customfield_10016.
+function exportJira(session, format, storyPointsField) {
+  var field = storyPointsField || DEFAULT_STORY_POINTS_FIELD;
+  var estimates = game.getIssueEstimates(session).filter(function(entry) {
+    return entry.storyPoints !== null;
+  });
+
+  var body;
+  if (format === 'csv') {
+    body = [['Issue key', 'Story Points']].concat(estimates.map(function(entry) {
+      return [entry.issueKey, entry.storyPoints];
+    })).map(function(row) {
+      return row.map(csvCell).join(',');
+    }).join('\r\n') + '\r\n';
+  } else {
+    body = JSON.stringify({
+      issueUpdates: estimates.map(function(entry) {
+        var fields = {};
+        fields[field] = entry.storyPoints;
+        return { key: entry.issueKey, fields: fields };
+      })
+    }, null, 2);
+  }
+
+  return {
+    contentType: FORMATS[format].contentType,
+    filename: 'planning-poker-' + session.sessionCode + '-jira.' + FORMATS[format].extension,
+    body: body
+  };
+}
+
+// Check a ?field= Jira field id: { field } or { error } like chooseFormat's
+function validateJiraField(input) {
+  if (input === undefined || input === null || input === '') {
+    return { field: DEFAULT_STORY_POINTS_FIELD };
+  }
+  if (!/^[A-Za-z][A-Za-z0-9_]{0,49}$/.test(String(input))) {
+    return {
+      error: {
+        status: 400,
+        code: 'INVALID_FIELD',
+        message: 'field must be a Jira field id such as ' + DEFAULT_STORY_POINTS_FIELD
+      }
+    };
+  }
+  return { field: String(input) };
+}
+
+module.exports = {
+  JIRA_FORMATS: JIRA_FORMATS,
+  chooseFormat: chooseFormat,
+  buildSummary: buildSummary,
+  exportSession: exportSession,
+  exportJira: exportJira,
+  validateJiraField: validateJiraField
+};
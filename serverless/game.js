@@ -1,31 +1,1211 @@
-// Fixed Planning Poker Backend - game.js (ES5 Compatible)
-// Directory: Execute from server/src/ folder
-// Fixed: Removed const declarations that cause parsing errors
-// Changes:
-// 1. Spectators can reset votes even after consensus
-// 2. Removed restriction preventing re-voting after consensus
-// 3. Better state management for re-voting scenarios
-
-var db = require('./db'); // Assuming you have a db module
-
-// Get required functions from db module
-var getSession = db.getSession;
-var updateSession = db.updateSession;
-var getConnection = db.getConnection;
-var checkConsensus = db.checkConsensus;
-
-// Cast vote handler - FIXED: Allow re-voting when no consensus
-function handleCastVote(socket, data) {
-  console.log('🗳️ Cast vote event from ' + socket.id + ' - Vote: ' + data.vote);
-  
-  getConnection(socket.id)
-    .then(function(connection) {
-      if (!connection) {
-        console.log('❌ Connection not found: ' + socket.id);
-        socket.emit('error', {
-          message: 'Connection not found. Please rejoin the session.'
-        });
-        return;
+// serverless/game.js
+// Transport-agnostic Planning Poker game engine (ES5 syntax, no const/let)
+// Directory: serverless/game.js
+//
+// Every server entry point (index.js, local-server.js, websocket-handler.js)
+// delegates the voting rules to this module so local dev and production behave
+// the same. Actions never mutate the session they are given; they return
+//   { session: <updated session>, events: [{ name, data, excludePlayer }] }
+// or, when the action is rejected,
+//   { error: { code, message } }
+// Transports persist the returned session and deliver the events.
+
+var crypto = require('crypto');
+var stats = require('./stats');
+var consensus = require('./consensus');
+var passcodes = require('./passcode');
+var playerTokens = require('./player-token');
+
+var MAX_PLAYER_NAME_LENGTH = 20;
+var SESSION_TTL_SECONDS = 7200; // 2 hours
+var FACILITATOR_GRACE_SECONDS = 60; // a disconnected facilitator keeps the role this long
+
+// Per-session options; sessions stored before a setting existed get its default
+var DEFAULT_SETTINGS = {
+  autoReveal: true, // reveal as soon as every voter has voted
+  consensusPolicy: { type: 'exact' } // see consensus.js
+};
+
+// One check per setting: { value } or { error }
+var SETTING_VALIDATORS = {
+  autoReveal: function(value) {
+    return typeof value === 'boolean' ? { value: value } : rejected('INVALID_SETTINGS', 'Setting autoReveal must be a boolean');
+  },
+  consensusPolicy: function(value) {
+    var checked = consensus.validatePolicy(value);
+    return checked.error ? checked : { value: checked.policy };
+  }
+};
+
+// Built-in card decks; ½ is stored as 0.5 so numeric decks stay numeric
+var DECKS = {
+  fibonacci: [1, 2, 3, 5, 8, 13],
+  'modified-fibonacci': [0, 0.5, 1, 2, 3, 5, 8, 13, 20, 40, 100],
+  tshirt: ['XS', 'S', 'M', 'L', 'XL', 'XXL'],
+  'powers-of-two': [1, 2, 4, 8, 16, 32, 64]
+};
+var DEFAULT_DECK = 'fibonacci';
+
+// Cards every deck offers on top of its own. They count as a vote but are not
+// an estimate, so consensus and statistics ignore them.
+var UNSURE_CARD = '?';
+var BREAK_CARD = '☕';
+var SPECIAL_CARDS = [UNSURE_CARD, BREAK_CARD];
+var MAX_CUSTOM_CARDS = 20;
+
+// Story backlog limits keep a session well inside DynamoDB's 400 KB item size
+var MAX_STORIES = 100;
+var MAX_ESTIMATES = 200;
+var MAX_ROUNDS = 100; // oldest rounds are dropped from the history first
+var MAX_LABEL_LENGTH = 200;
+var STORY_FIELD_LIMITS = {
+  key: 50, // tracker issue key, e.g. PROJ-123
+  title: 200,
+  description: 2000,
+  link: 500,
+  notes: 2000 // acceptance notes
+};
+var MAX_CARD_LENGTH = 10;
+var JIRA_ISSUE_KEY = /^[A-Z][A-Z0-9_]+-[1-9][0-9]*$/; // e.g. PROJ-123
+
+// Build a brand new session record (same shape db.js stores). options are
+// { settings, deck, passcodeHash } as returned by validateSessionOptions.
+function createSession(sessionCode, options) {
+  options = options || {};
+
+  return {
+    sessionCode: sessionCode,
+    players: {},
+    facilitator: null, // the creator: the first player to join, see claimFacilitator
+    passcodeHash: options.passcodeHash || null, // see passcode.js
+    votesRevealed: false,
+    settings: mergeSettings(DEFAULT_SETTINGS, options.settings),
+    deck: options.deck || builtInDeck(DEFAULT_DECK),
+    stories: [],
+    currentStoryId: null,
+    estimates: [],
+    rounds: [],
+    roundStartedAt: new Date().toISOString(),
+    revealedAt: null,
+    revoteCount: 0,
+    issueKey: null, // Jira issue the current round estimates, see roundIssueKey
+    issueEstimates: [],
+    version: 0, // bumped by every write, used for optimistic locking in db.js
+    createdAt: new Date().toISOString(),
+    expiresAt: Math.floor(Date.now() / 1000) + SESSION_TTL_SECONDS
+  };
+}
+
+// Copy a session and its players so callers' objects are never mutated
+function cloneSession(session) {
+  var copy = {};
+  for (var key in session) {
+    if (session.hasOwnProperty(key)) {
+      copy[key] = session[key];
+    }
+  }
+
+  copy.players = {};
+  var players = session.players || {};
+  for (var name in players) {
+    if (players.hasOwnProperty(name)) {
+      copy.players[name] = copyObject(players[name]);
+    }
+  }
+
+  return copy;
+}
+
+function copyObject(source) {
+  var copy = {};
+  for (var key in source) {
+    if (source.hasOwnProperty(key)) {
+      copy[key] = source[key];
+    }
+  }
+  return copy;
+}
+
+function gameError(code, message) {
+  return { code: code, message: message };
+}
+
+function rejected(code, message) {
+  return { error: gameError(code, message) };
+}
+
+function mergeSettings(base, changes) {
+  var merged = copyObject(base);
+  for (var key in changes) {
+    if (changes.hasOwnProperty(key)) {
+      merged[key] = changes[key];
+    }
+  }
+  return merged;
+}
+
+// Effective settings of a session, filling in defaults
+function getSettings(session) {
+  return mergeSettings(DEFAULT_SETTINGS, session.settings);
+}
+
+// Check settings sent by a client: { settings } with only the known keys, or { error }
+function validateSettings(input) {
+  if (input === undefined || input === null) return { settings: {} };
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return rejected('INVALID_SETTINGS', 'Settings must be an object');
+  }
+
+  var settings = {};
+  for (var key in input) {
+    if (!input.hasOwnProperty(key)) continue;
+
+    if (!SETTING_VALIDATORS.hasOwnProperty(key)) {
+      return rejected('INVALID_SETTINGS', 'Unknown setting: ' + key);
+    }
+
+    var checked = SETTING_VALIDATORS[key](input[key]);
+    if (checked.error) return checked;
+    settings[key] = checked.value;
+  }
+
+  return { settings: settings };
+}
+
+function builtInDeck(type) {
+  return { type: type, cards: DECKS[type].slice() };
+}
+
+// Check a custom deck's cards: numbers or short labels, no duplicates
+function validateCustomCards(cards) {
+  if (!Array.isArray(cards) || cards.length < 2 || cards.length > MAX_CUSTOM_CARDS) {
+    return rejected('INVALID_DECK', 'A custom deck needs between 2 and ' + MAX_CUSTOM_CARDS + ' cards');
+  }
+
+  var checked = [];
+  var seen = {};
+  for (var i = 0; i < cards.length; i++) {
+    var card = typeof cards[i] === 'string' ? cards[i].trim() : cards[i];
+    var isNumber = typeof card === 'number' && isFinite(card);
+    var isLabel = typeof card === 'string' && card.length > 0 && card.length <= MAX_CARD_LENGTH;
+
+    if (!isNumber && !isLabel) {
+      return rejected('INVALID_DECK', 'Cards must be numbers or labels of up to ' + MAX_CARD_LENGTH + ' characters');
+    }
+    if (seen.hasOwnProperty(String(card))) {
+      return rejected('INVALID_DECK', 'Duplicate card: ' + card);
+    }
+    if (isSpecialCard(card)) {
+      return rejected('INVALID_DECK', 'The ' + card + ' card is part of every deck already');
+    }
+
+    seen[String(card)] = true;
+    checked.push(card);
+  }
+
+  return { deck: { type: 'custom', cards: checked } };
+}
+
+// Check a deck sent by a client: a built-in deck name, or
+// { type: 'custom', cards: [...] }. Returns { deck } or { error }.
+function validateDeck(input) {
+  if (input === undefined || input === null) return { deck: builtInDeck(DEFAULT_DECK) };
+
+  var type = typeof input === 'object' ? input.type : input;
+
+  if (type === 'custom') {
+    return validateCustomCards(input.cards);
+  }
+
+  if (typeof type !== 'string' || !DECKS.hasOwnProperty(type)) {
+    return rejected('INVALID_DECK', 'Deck must be one of: ' + Object.keys(DECKS).concat('custom').join(', '));
+  }
+
+  return { deck: builtInDeck(type) };
+}
+
+// Check the options a session is created with (the POST /api/sessions body)
+function validateSessionOptions(input) {
+  input = input || {};
+
+  var settings = validateSettings(input.settings);
+  if (settings.error) return settings;
+
+  var deck = validateDeck(input.deck);
+  if (deck.error) return deck;
+
+  var options = { settings: settings.settings, deck: deck.deck };
+
+  // Only the hash is kept, so the passcode never reaches storage
+  if (input.passcode !== undefined && input.passcode !== null && input.passcode !== '') {
+    var checked = passcodes.validatePasscode(input.passcode);
+    if (checked.error) return checked;
+
+    options.passcodeHash = passcodes.hashPasscode(checked.passcode);
+  }
+
+  return { options: options };
+}
+
+// Error for joining a code no session uses. Sessions are only created by
+// POST /api/sessions or a join without a code, so this counts as a guess.
+function sessionNotFound() {
+  return gameError('SESSION_NOT_FOUND', 'Session not found');
+}
+
+// Check the passcode a player joins with against the session's own; returns
+// an error, or null when the session has no passcode or it matches
+function checkPasscode(session, passcode) {
+  if (!session.passcodeHash) return null;
+
+  if (passcode === undefined || passcode === null || passcode === '') {
+    return gameError('PASSCODE_REQUIRED', 'This session needs a passcode');
+  }
+  if (!passcodes.verifyPasscode(String(passcode), session.passcodeHash)) {
+    return gameError('INVALID_PASSCODE', 'Wrong passcode for this session');
+  }
+  return null;
+}
+
+// The session's deck; sessions stored before decks existed use the default
+function getDeck(session) {
+  return session.deck || builtInDeck(DEFAULT_DECK);
+}
+
+function isSpecialCard(vote) {
+  return SPECIAL_CARDS.indexOf(vote) !== -1;
+}
+
+// The deck (or special) card a vote refers to, or undefined when it is not
+// playable. Compared as strings so "5" from a form matches the card 5.
+function deckCard(session, vote) {
+  var cards = getDeck(session).cards.concat(SPECIAL_CARDS);
+  for (var i = 0; i < cards.length; i++) {
+    if (String(cards[i]) === String(vote)) {
+      return cards[i];
+    }
+  }
+  return undefined;
+}
+
+// Whether a player may run the round (reveal, reset, change settings, manage
+// stories). Only the facilitator may; spectators just watch.
+function canControlRound(session, playerName) {
+  return Boolean(session.facilitator) &&
+    session.facilitator === playerName &&
+    Boolean(session.players[playerName]);
+}
+
+// Make the joining player the facilitator of a session that has none yet, in
+// an already cloned session (db.joinPlayer does the same with its own write)
+function claimFacilitator(session, playerName) {
+  if (!session.facilitator) {
+    session.facilitator = playerName;
+  }
+}
+
+function sessionUpdateEvent(session) {
+  return { name: 'sessionUpdate', data: getSessionState(session) };
+}
+
+function getVoters(session) {
+  var voters = [];
+  for (var name in session.players) {
+    if (session.players.hasOwnProperty(name) && !session.players[name].isSpectator) {
+      voters.push(session.players[name]);
+    }
+  }
+  return voters;
+}
+
+function allVotersVoted(session) {
+  var voters = getVoters(session);
+  if (voters.length === 0) return false;
+
+  for (var i = 0; i < voters.length; i++) {
+    if (!voters[i].hasVoted) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Votes that are estimates as { playerName, vote }, leaving out "?" and "☕"
+function getEstimates(session) {
+  var estimates = [];
+  for (var name in session.players) {
+    if (!session.players.hasOwnProperty(name)) continue;
+
+    var player = session.players[name];
+    if (!player.isSpectator && player.hasVoted && !isSpecialCard(player.vote)) {
+      estimates.push({ playerName: name, vote: player.vote });
+    }
+  }
+  return estimates;
+}
+
+// Statistics for the revealed round, or null while votes are hidden
+function getRoundStats(session) {
+  if (!session.votesRevealed) return null;
+  return stats.roundStats(getEstimates(session), getDeck(session).cards);
+}
+
+// Whether anyone played the break card this round. Shown before the reveal
+// too, so the facilitator can call a break without waiting for the round.
+function isBreakRequested(session) {
+  var voters = getVoters(session);
+  for (var i = 0; i < voters.length; i++) {
+    if (voters[i].hasVoted && voters[i].vote === BREAK_CARD) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Consensus of the revealed round under the session's policy:
+// { reached, policy, card } (see consensus.evaluate)
+function getConsensus(session) {
+  if (!session || !session.votesRevealed) {
+    return { reached: false, policy: null, card: null };
+  }
+  return consensus.evaluate(getEstimates(session), getDeck(session).cards, getSettings(session).consensusPolicy);
+}
+
+// Whether the revealed round reached consensus: at least one voter gave an
+// estimate and the estimates satisfy the session's consensus policy
+function checkConsensus(session) {
+  return getConsensus(session).reached;
+}
+
+// Public view of a session: votes stay hidden until they are revealed
+function getSessionState(session) {
+  var players = {};
+  for (var name in session.players) {
+    if (session.players.hasOwnProperty(name)) {
+      var player = session.players[name];
+      players[name] = {
+        hasVoted: Boolean(player.hasVoted),
+        vote: session.votesRevealed ? player.vote : null,
+        isSpectator: Boolean(player.isSpectator),
+        isFacilitator: session.facilitator === name,
+        connected: player.connected !== false
+      };
+    }
+  }
+
+  return {
+    sessionCode: session.sessionCode,
+    players: players,
+    facilitator: session.facilitator || null,
+    hasPasscode: Boolean(session.passcodeHash),
+    votesRevealed: Boolean(session.votesRevealed),
+    hasConsensus: checkConsensus(session),
+    consensus: getConsensus(session),
+    stats: getRoundStats(session),
+    breakRequested: isBreakRequested(session),
+    currentStory: getCurrentStory(session),
+    stories: getStories(session).map(function(story) {
+      return { id: story.id, key: story.key, title: story.title, status: story.status, estimate: story.estimate };
+    }),
+    estimates: getEstimatesLog(session),
+    issueKey: roundIssueKey(session),
+    issueEstimates: getIssueEstimates(session),
+    settings: getSettings(session),
+    deck: getDeck(session),
+    specialCards: SPECIAL_CARDS
+  };
+}
+
+// Trim and check a player name: { playerName } or { error }
+function validatePlayerName(name) {
+  var playerName = typeof name === 'string' ? name.trim() : '';
+
+  if (!playerName) {
+    return rejected('MISSING_NAME', 'Player name is required');
+  }
+
+  if (playerName.length > MAX_PLAYER_NAME_LENGTH) {
+    return rejected('NAME_TOO_LONG', 'Player name must be ' + MAX_PLAYER_NAME_LENGTH + ' characters or less');
+  }
+
+  return { playerName: playerName };
+}
+
+// Player record for someone joining a session for the first time
+function createPlayer(isSpectator) {
+  return {
+    hasVoted: false,
+    vote: null,
+    isSpectator: Boolean(isSpectator),
+    connected: true,
+    disconnectedAt: null,
+    joinedAt: new Date().toISOString(),
+    connectedAt: new Date().toISOString() // reset on every reconnect
+  };
+}
+
+// Events announcing a (re)joined player in an already updated session
+function joinEvents(session, playerName, reconnected) {
+  var events = [];
+  if (!reconnected) {
+    events.push({ name: 'playerJoined', data: { playerName: playerName }, excludePlayer: playerName });
+  }
+  events.push(sessionUpdateEvent(session));
+  return events;
+}
+
+// Error for reclaiming a taken name without its player token (see
+// player-token.js), or null when the token matches
+function checkPlayerToken(session, playerName, playerToken) {
+  if (!playerTokens.verifyToken(session, playerName, playerToken)) {
+    return gameError('NAME_TAKEN', playerName + ' is already in this session; rejoin with your player token');
+  }
+  return null;
+}
+
+// Join a session, or reconnect to an existing player slot with the same name.
+// data.passcode is required when the session was created with one, and
+// data.playerToken (from the first join) to reclaim an existing name.
+function joinSession(session, data) {
+  var checked = validatePlayerName(data.playerName);
+  if (checked.error) return checked;
+
+  var passcodeError = checkPasscode(session, data.passcode);
+  if (passcodeError) return { error: passcodeError };
+
+  if (session.players[checked.playerName]) {
+    var claimError = checkPlayerToken(session, checked.playerName, data.playerToken);
+    if (claimError) return { error: claimError };
+  }
+
+  var playerName = checked.playerName;
+  var updated = cloneSession(session);
+  var existingPlayer = updated.players[playerName];
+
+  if (existingPlayer) {
+    existingPlayer.connected = true;
+    existingPlayer.disconnectedAt = null;
+    existingPlayer.connectedAt = new Date().toISOString();
+  } else {
+    updated.players[playerName] = createPlayer(data.isSpectator);
+  }
+  claimFacilitator(updated, playerName);
+
+  return {
+    session: updated,
+    events: joinEvents(updated, playerName, Boolean(existingPlayer)),
+    playerName: playerName,
+    playerToken: playerTokens.issueToken(updated, playerName),
+    reconnected: Boolean(existingPlayer)
+  };
+}
+
+// Check whether a player may cast this vote: null when allowed, else the error
+function validateVote(session, data) {
+  var player = session.players[data.playerName];
+
+  if (!player) {
+    return gameError('PLAYER_NOT_FOUND', 'Player not found in session');
+  }
+
+  if (player.isSpectator) {
+    return gameError('SPECTATOR_CANNOT_VOTE', 'Spectators cannot vote');
+  }
+
+  if (session.votesRevealed) {
+    return gameError('VOTING_CLOSED', 'Voting has ended for this round');
+  }
+
+  if (data.vote === undefined || data.vote === null) {
+    return gameError('MISSING_VOTE', 'Vote is required');
+  }
+
+  if (deckCard(session, data.vote) === undefined) {
+    return gameError('INVALID_VOTE', 'Vote must be one of: ' + getDeck(session).cards.concat(SPECIAL_CARDS).join(', '));
+  }
+
+  return null;
+}
+
+// Votes are revealed automatically once every voter has voted, unless the
+// session turned auto-reveal off
+function shouldAutoReveal(session) {
+  return getSettings(session).autoReveal && !session.votesRevealed && allVotersVoted(session);
+}
+
+// Record a vote, auto-revealing when it was the last one outstanding
+function castVote(session, data) {
+  var error = validateVote(session, data);
+  if (error) return { error: error };
+
+  var updated = cloneSession(session);
+  updated.players[data.playerName].hasVoted = true;
+  updated.players[data.playerName].vote = deckCard(session, data.vote);
+
+  if (shouldAutoReveal(updated)) {
+    markRevealed(updated);
+  }
+
+  return { session: updated, events: voteEvents(updated, data.playerName) };
+}
+
+// Events for a stored vote: a breakRequested alert when the player asked for a
+// break, then the new session state
+function voteEvents(session, playerName) {
+  var events = [];
+  if (session.players[playerName].vote === BREAK_CARD) {
+    events.push({ name: 'breakRequested', data: { playerName: playerName } });
+  }
+  events.push(sessionUpdateEvent(session));
+  return events;
+}
+
+// Reveal the current round's votes on request, whether or not everyone voted
+function revealVotes(session, data) {
+  if (!canControlRound(session, data.playerName)) {
+    return rejected('NOT_AUTHORIZED', 'Only the facilitator can reveal votes');
+  }
+
+  if (session.votesRevealed) {
+    return rejected('ALREADY_REVEALED', 'Votes are already revealed');
+  }
+
+  var updated = cloneSession(session);
+  markRevealed(updated);
+
+  return {
+    session: updated,
+    events: [{ name: 'votesRevealed', data: { revealedBy: data.playerName } }, sessionUpdateEvent(updated)]
+  };
+}
+
+// Change session settings such as autoReveal (facilitator only)
+function updateSettings(session, data) {
+  if (!canControlRound(session, data.playerName)) {
+    return rejected('NOT_AUTHORIZED', 'Only the facilitator can change session settings');
+  }
+
+  var checked = validateSettings(data.settings);
+  if (checked.error) return checked;
+
+  var updated = cloneSession(session);
+  updated.settings = mergeSettings(getSettings(session), checked.settings);
+
+  // Turning auto-reveal back on mid-round reveals a round that is already complete
+  if (shouldAutoReveal(updated)) {
+    markRevealed(updated);
+  }
+
+  return { session: updated, events: [sessionUpdateEvent(updated)] };
+}
+
+// Archive the round and clear every vote for a re-vote (facilitator only).
+// data.issueKey optionally names the Jira issue the new round estimates.
+function resetVotes(session, data) {
+  if (!canControlRound(session, data.playerName)) {
+    return rejected('NOT_AUTHORIZED', 'Only the facilitator can reset votes');
+  }
+
+  var issueKey = null;
+  if (data.issueKey !== undefined && data.issueKey !== null && data.issueKey !== '') {
+    issueKey = validateIssueKey(data.issueKey);
+    if (!issueKey) {
+      return rejected('INVALID_ISSUE_KEY', 'Issue key must look like PROJ-123');
+    }
+  }
+
+  var updated = cloneSession(session);
+  startNewRound(updated, estimatesSameIssue(session, issueKey));
+  updated.issueKey = issueKey;
+
+  return {
+    session: updated,
+    events: [{ name: 'votesReset', data: {} }, sessionUpdateEvent(updated)]
+  };
+}
+
+// Story backlog. Stories are { id, title, description, link, notes, status }
+// with status 'pending', 'done' or 'skipped', kept in estimation order.
+// currentStoryId points at the story being estimated (null before the first).
+
+function getStories(session) {
+  return session.stories || [];
+}
+
+function getCurrentStory(session) {
+  var stories = getStories(session);
+  for (var i = 0; i < stories.length; i++) {
+    if (stories[i].id === session.currentStoryId) {
+      return stories[i];
+    }
+  }
+  return null;
+}
+
+// Check a story sent by a client: { story } with trimmed fields, or { error }
+function validateStory(input) {
+  if (!input || typeof input !== 'object') {
+    return rejected('INVALID_STORY', 'Story must be an object with a title');
+  }
+
+  var story = {};
+  for (var field in STORY_FIELD_LIMITS) {
+    if (!STORY_FIELD_LIMITS.hasOwnProperty(field)) continue;
+
+    var value = input[field] === undefined || input[field] === null ? '' : input[field];
+    if (typeof value !== 'string') {
+      return rejected('INVALID_STORY', 'Story ' + field + ' must be text');
+    }
+
+    value = value.trim();
+    if (value.length > STORY_FIELD_LIMITS[field]) {
+      return rejected('INVALID_STORY', 'Story ' + field + ' must be ' + STORY_FIELD_LIMITS[field] + ' characters or less');
+    }
+    story[field] = value;
+  }
+
+  if (!story.title) {
+    return rejected('INVALID_STORY', 'Story title is required');
+  }
+
+  if (story.link && !/^https?:\/\//i.test(story.link)) {
+    return rejected('INVALID_STORY', 'Story link must start with http:// or https://');
+  }
+
+  // An estimate the story already had, e.g. from an imported backlog
+  var estimate = typeof input.estimate === 'string' ? input.estimate.trim() : input.estimate;
+  if (estimate !== undefined && estimate !== null && estimate !== '') {
+    if (typeof estimate === 'string' && estimate !== '' && isFinite(Number(estimate))) {
+      estimate = Number(estimate);
+    }
+
+    var isNumber = typeof estimate === 'number' && isFinite(estimate);
+    var isLabel = typeof estimate === 'string' && estimate.length <= MAX_CARD_LENGTH;
+    if (!isNumber && !isLabel) {
+      return rejected('INVALID_STORY', 'Story estimate must be a number or a label of up to ' + MAX_CARD_LENGTH + ' characters');
+    }
+    story.estimate = estimate;
+  }
+
+  return { story: story };
+}
+
+function newStoryId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+// Show the votes of an already cloned session, noting when for the history
+// and the outcome for the round's Jira issue
+function markRevealed(session) {
+  session.votesRevealed = true;
+  session.revealedAt = new Date().toISOString();
+  recordIssueEstimate(session);
+}
+
+// The fields markRevealed changes, for db.js to write without a full update
+function revealUpdates(session) {
+  var updated = cloneSession(session);
+  markRevealed(updated);
+
+  return {
+    votesRevealed: updated.votesRevealed,
+    revealedAt: updated.revealedAt,
+    issueEstimates: getIssueEstimates(updated)
+  };
+}
+
+// Jira issue keys. A round estimates the issue given to resetVotes, or else
+// the current story's key when it is a Jira key.
+
+// Normalise a Jira issue key ('proj-7' -> 'PROJ-7'), or null if it is not one
+function validateIssueKey(input) {
+  var key = typeof input === 'string' ? input.trim().toUpperCase() : '';
+  return JIRA_ISSUE_KEY.test(key) ? key : null;
+}
+
+function roundIssueKey(session) {
+  if (session.issueKey) return session.issueKey;
+
+  var story = getCurrentStory(session);
+  return story && story.key ? validateIssueKey(story.key) : null;
+}
+
+// Whether a round reset to issueKey estimates the same issue (or story) as
+// the current round, i.e. is a re-vote rather than a new issue
+function estimatesSameIssue(session, issueKey) {
+  var story = getCurrentStory(session);
+  var nextKey = issueKey || (story && story.key ? validateIssueKey(story.key) : null);
+  return nextKey === roundIssueKey(session);
+}
+
+// Outcomes of keyed rounds: { issueKey, estimate, storyPoints, consensus,
+// committed, revealedAt }, one per issue (a re-vote replaces it). storyPoints
+// is the estimate when it is a number, else null (e.g. t-shirt sizes).
+function getIssueEstimates(session) {
+  return session.issueEstimates || [];
+}
+
+// Store the revealed round's outcome for its issue, in an already cloned
+// session. committedValue: the card from commitEstimate, else the consensus.
+function recordIssueEstimate(session, committedValue) {
+  var issueKey = roundIssueKey(session);
+  if (!issueKey) return;
+
+  var agreed = getConsensus(session);
+  var committed = committedValue !== undefined;
+  var estimate = committed ? committedValue : agreed.reached ? agreed.card : null;
+
+  var entry = {
+    issueKey: issueKey,
+    estimate: estimate,
+    storyPoints: typeof estimate === 'number' ? estimate : null,
+    consensus: agreed.reached,
+    committed: committed,
+    revealedAt: session.revealedAt || null
+  };
+
+  session.issueEstimates = getIssueEstimates(session).filter(function(existing) {
+    return existing.issueKey !== issueKey;
+  }).concat(entry).slice(-MAX_ESTIMATES);
+}
+
+function getRounds(session) {
+  return session.rounds || [];
+}
+
+function secondsBetween(start, end) {
+  return start ? Math.round((new Date(end) - new Date(start)) / 1000) : null;
+}
+
+// History entry for the round in progress (endedAt is now), or null if nobody
+// voted in it
+function currentRoundEntry(session) {
+  var votes = {};
+  var hasVotes = false;
+  for (var name in session.players) {
+    if (session.players.hasOwnProperty(name) && session.players[name].hasVoted) {
+      votes[name] = session.players[name].vote;
+      hasVotes = true;
+    }
+  }
+  if (!hasVotes) return null;
+
+  var rounds = getRounds(session);
+  var story = getCurrentStory(session);
+  var endedAt = new Date().toISOString();
+  var revealedAt = session.votesRevealed ? session.revealedAt || null : null;
+
+  return {
+    number: rounds.length ? rounds[rounds.length - 1].number + 1 : 1,
+    storyId: story ? story.id : null,
+    storyTitle: story ? story.title : null,
+    issueKey: roundIssueKey(session),
+    votes: votes,
+    startedAt: session.roundStartedAt || null,
+    revealedAt: revealedAt,
+    endedAt: endedAt,
+    // Time spent estimating: until the reveal, or until the reset if never revealed
+    durationSeconds: secondsBetween(session.roundStartedAt, revealedAt || endedAt),
+    consensus: getConsensus(session),
+    revotes: session.revoteCount || 0
+  };
+}
+
+// Archive the round in progress and clear its votes, in an already cloned
+// session. isRevote: the same story is being estimated again.
+function startNewRound(session, isRevote) {
+  var entry = currentRoundEntry(session);
+  if (entry) {
+    session.rounds = getRounds(session).concat(entry).slice(-MAX_ROUNDS);
+  }
+
+  for (var name in session.players) {
+    if (session.players.hasOwnProperty(name)) {
+      session.players[name].hasVoted = false;
+      session.players[name].vote = null;
+    }
+  }
+  session.votesRevealed = false;
+  session.revealedAt = null;
+  session.issueKey = null;
+  session.roundStartedAt = new Date().toISOString();
+  session.revoteCount = isRevote ? (session.revoteCount || 0) + 1 : 0;
+}
+
+// Append checked stories to the backlog, or reject if it would grow too long
+function appendStories(session, stories) {
+  if (getStories(session).length + stories.length > MAX_STORIES) {
+    return rejected('TOO_MANY_STORIES', 'A session can hold at most ' + MAX_STORIES + ' stories');
+  }
+
+  var updated = cloneSession(session);
+  updated.stories = getStories(session).concat(stories.map(function(story) {
+    var stored = copyObject(story);
+    stored.id = newStoryId();
+    stored.status = 'pending';
+    return stored;
+  }));
+
+  return { session: updated, events: [sessionUpdateEvent(updated)] };
+}
+
+// Add a story to the end of the backlog (facilitator only)
+function addStory(session, data) {
+  if (!canControlRound(session, data.playerName)) {
+    return rejected('NOT_AUTHORIZED', 'Only the facilitator can manage stories');
+  }
+
+  var checked = validateStory(data.story);
+  if (checked.error) return checked;
+
+  return appendStories(session, [checked.story]);
+}
+
+// Append stories already checked with validateStory, e.g. from an uploaded
+// backlog file (see import.js). An HTTP upload has no connection to tell who
+// sent it, so data.playerToken (see player-token.js) must prove the caller is
+// data.playerName, and that player must be the facilitator.
+function importStories(session, data) {
+  if (!playerTokens.verifyToken(session, data.playerName, data.playerToken) ||
+      !canControlRound(session, data.playerName)) {
+    return rejected('NOT_AUTHORIZED', 'Only the facilitator can import stories');
+  }
+
+  var result = appendStories(session, data.stories);
+  if (result.error) return result;
+
+  result.events.unshift({ name: 'storiesImported', data: { count: data.stories.length } });
+  return result;
+}
+
+// Put the backlog in a new order; storyIds must list every story exactly once
+function reorderStories(session, data) {
+  if (!canControlRound(session, data.playerName)) {
+    return rejected('NOT_AUTHORIZED', 'Only the facilitator can manage stories');
+  }
+
+  var stories = getStories(session);
+  var storyIds = data.storyIds;
+  var byId = {};
+  stories.forEach(function(story) {
+    byId[story.id] = story;
+  });
+
+  var isPermutation = Array.isArray(storyIds) && storyIds.length === stories.length &&
+    storyIds.every(function(id, index) {
+      return byId.hasOwnProperty(id) && storyIds.indexOf(id) === index;
+    });
+  if (!isPermutation) {
+    return rejected('INVALID_ORDER', 'storyIds must list every story in the session exactly once');
+  }
+
+  var updated = cloneSession(session);
+  updated.stories = storyIds.map(function(id) {
+    return copyObject(byId[id]);
+  });
+
+  return { session: updated, events: [sessionUpdateEvent(updated)] };
+}
+
+// Close the current story with the given status and move to the next pending
+// one in backlog order. Changing story starts a fresh round.
+function moveToNextStory(session, closingStatus) {
+  var updated = cloneSession(session);
+  updated.stories = getStories(session).map(copyObject);
+
+  // Archive while the finished story is still current
+  startNewRound(updated, false);
+
+  var next = null;
+  updated.stories.forEach(function(story) {
+    if (story.id === session.currentStoryId) {
+      story.status = closingStatus;
+    } else if (!next && story.status === 'pending') {
+      next = story;
+    }
+  });
+
+  updated.currentStoryId = next ? next.id : null;
+
+  return {
+    session: updated,
+    events: [{ name: 'storyChanged', data: { story: next } }, sessionUpdateEvent(updated)]
+  };
+}
+
+// Finish the current story and move on (facilitator only)
+function nextStory(session, data) {
+  if (!canControlRound(session, data.playerName)) {
+    return rejected('NOT_AUTHORIZED', 'Only the facilitator can manage stories');
+  }
+
+  if (!getCurrentStory(session) && !hasPendingStory(session)) {
+    return rejected('NO_STORIES', 'There are no stories left to estimate');
+  }
+
+  return moveToNextStory(session, 'done');
+}
+
+// Set the current story aside without an estimate and move on (facilitator only)
+function skipStory(session, data) {
+  if (!canControlRound(session, data.playerName)) {
+    return rejected('NOT_AUTHORIZED', 'Only the facilitator can manage stories');
+  }
+
+  if (!getCurrentStory(session)) {
+    return rejected('NO_CURRENT_STORY', 'There is no current story to skip');
+  }
+
+  return moveToNextStory(session, 'skipped');
+}
+
+function hasPendingStory(session) {
+  return getStories(session).some(function(story) {
+    return story.status === 'pending';
+  });
+}
+
+// Committed estimates: { storyId, label, value, consensus, committedBy,
+// committedAt }, kept across resets. storyId is null for rounds without a story.
+function getEstimatesLog(session) {
+  return session.estimates || [];
+}
+
+// Commit the final estimate for the revealed round (facilitator only).
+// data.estimate defaults to the consensus card; data.label to the current
+// story's title. Committing again for the same story replaces the estimate.
+function commitEstimate(session, data) {
+  if (!canControlRound(session, data.playerName)) {
+    return rejected('NOT_AUTHORIZED', 'Only the facilitator can commit estimates');
+  }
+
+  if (!session.votesRevealed) {
+    return rejected('VOTES_NOT_REVEALED', 'Reveal the votes before committing an estimate');
+  }
+
+  var agreed = getConsensus(session);
+  var hasEstimate = data.estimate !== undefined && data.estimate !== null;
+  var value = hasEstimate ? deckCard(session, data.estimate) : agreed.card;
+
+  if (!hasEstimate && !agreed.reached) {
+    return rejected('MISSING_ESTIMATE', 'There is no consensus, so an estimate is required');
+  }
+  if (value === undefined || isSpecialCard(value)) {
+    return rejected('INVALID_ESTIMATE', 'Estimate must be one of: ' + getDeck(session).cards.join(', '));
+  }
+
+  var story = getCurrentStory(session);
+  var label = typeof data.label === 'string' ? data.label.trim() : '';
+  if (label.length > MAX_LABEL_LENGTH) {
+    return rejected('INVALID_LABEL', 'Label must be ' + MAX_LABEL_LENGTH + ' characters or less');
+  }
+
+  var estimate = {
+    storyId: story ? story.id : null,
+    label: label || (story ? story.title : ''),
+    value: value,
+    consensus: agreed.reached && agreed.card === value,
+    committedBy: data.playerName,
+    committedAt: new Date().toISOString()
+  };
+
+  var estimates = getEstimatesLog(session).filter(function(existing) {
+    return !story || existing.storyId !== story.id;
+  });
+  if (estimates.length >= MAX_ESTIMATES) {
+    return rejected('TOO_MANY_ESTIMATES', 'A session can hold at most ' + MAX_ESTIMATES + ' estimates');
+  }
+
+  var updated = cloneSession(session);
+  updated.estimates = estimates.concat(estimate);
+  recordIssueEstimate(updated, value);
+  if (story) {
+    updated.stories = getStories(session).map(function(existing) {
+      var copy = copyObject(existing);
+      if (copy.id === story.id) copy.estimate = value;
+      return copy;
+    });
+  }
+
+  return {
+    session: updated,
+    events: [{ name: 'estimateCommitted', data: { estimate: estimate } }, sessionUpdateEvent(updated)]
+  };
+}
+
+// Give the facilitator role to playerName, announcing why ('handoff' or 'promoted')
+function changeFacilitator(session, playerName, reason) {
+  var updated = cloneSession(session);
+  updated.facilitator = playerName;
+
+  return {
+    session: updated,
+    events: [
+      {
+        name: 'facilitatorChanged',
+        data: { facilitator: playerName, previous: session.facilitator || null, reason: reason }
+      },
+      sessionUpdateEvent(updated)
+    ]
+  };
+}
+
+// Hand the facilitator role to another connected player (facilitator only)
+function transferFacilitator(session, data) {
+  if (!canControlRound(session, data.playerName)) {
+    return rejected('NOT_AUTHORIZED', 'Only the facilitator can hand over the role');
+  }
+
+  var target = typeof data.newFacilitator === 'string' ? data.newFacilitator.trim() : '';
+  var player = session.players[target];
+  if (!player) {
+    return rejected('PLAYER_NOT_FOUND', 'Player not found in session');
+  }
+  if (target === session.facilitator) {
+    return rejected('ALREADY_FACILITATOR', target + ' is already the facilitator');
+  }
+  if (player.connected === false) {
+    return rejected('PLAYER_DISCONNECTED', target + ' is not connected');
+  }
+
+  return changeFacilitator(session, target, 'handoff');
+}
+
+// Whether the facilitator is missing, or has been disconnected for longer than
+// FACILITATOR_GRACE_SECONDS. now: milliseconds, defaults to the current time.
+function isFacilitatorAbandoned(session, now) {
+  var facilitator = session.players[session.facilitator];
+  if (!facilitator) return true;
+  if (facilitator.connected !== false) return false;
+
+  var disconnectedAt = new Date(facilitator.disconnectedAt || 0).getTime();
+  return (now || Date.now()) - disconnectedAt >= FACILITATOR_GRACE_SECONDS * 1000;
+}
+
+// Promote the longest-connected player when the facilitator has been gone
+// past the grace period. Servers run this after the grace period and on
+// later activity, since a timer does not survive a restart or a Lambda.
+// data.now: optional time in milliseconds.
+function promoteFacilitator(session, data) {
+  data = data || {};
+
+  if (!isFacilitatorAbandoned(session, data.now)) {
+    return rejected('FACILITATOR_PRESENT', 'The facilitator is still in the session');
+  }
+
+  var candidate = null;
+  var candidateSince = null;
+  for (var name in session.players) {
+    if (session.players.hasOwnProperty(name) && session.players[name].connected !== false) {
+      var player = session.players[name];
+      var since = player.connectedAt || player.joinedAt || '';
+      if (candidate === null || since < candidateSince) {
+        candidate = name;
+        candidateSince = since;
       }
-    })
-  }
\ No newline at end of file
+    }
+  }
+
+  if (candidate === null) {
+    return rejected('NO_CANDIDATE', 'Nobody is connected to take over');
+  }
+
+  return changeFacilitator(session, candidate, 'promoted');
+}
+
+// Mark a player as disconnected; the slot is kept so they can reconnect
+function leaveSession(session, data) {
+  if (!session.players[data.playerName]) {
+    return rejected('PLAYER_NOT_FOUND', 'Player not found in session');
+  }
+
+  var updated = cloneSession(session);
+  updated.players[data.playerName].connected = false;
+  updated.players[data.playerName].disconnectedAt = new Date().toISOString();
+
+  return {
+    session: updated,
+    events: [
+      { name: 'playerLeft', data: { playerName: data.playerName }, excludePlayer: data.playerName },
+      sessionUpdateEvent(updated)
+    ]
+  };
+}
+
+// Fields an action may change, in the form db.updateSession expects
+function getSessionUpdates(session) {
+  return {
+    players: session.players,
+    facilitator: session.facilitator || null,
+    votesRevealed: session.votesRevealed,
+    settings: getSettings(session),
+    stories: getStories(session),
+    currentStoryId: session.currentStoryId || null,
+    estimates: getEstimatesLog(session),
+    rounds: getRounds(session),
+    roundStartedAt: session.roundStartedAt || null,
+    revealedAt: session.revealedAt || null,
+    revoteCount: session.revoteCount || 0,
+    issueKey: session.issueKey || null,
+    issueEstimates: getIssueEstimates(session)
+  };
+}
+
+module.exports = {
+  MAX_PLAYER_NAME_LENGTH: MAX_PLAYER_NAME_LENGTH,
+  FACILITATOR_GRACE_SECONDS: FACILITATOR_GRACE_SECONDS,
+  DECKS: DECKS,
+  SPECIAL_CARDS: SPECIAL_CARDS,
+  createSession: createSession,
+  validateSessionOptions: validateSessionOptions,
+  sessionNotFound: sessionNotFound,
+  checkPasscode: checkPasscode,
+  checkPlayerToken: checkPlayerToken,
+  issuePlayerToken: playerTokens.issueToken,
+  validateDeck: validateDeck,
+  getDeck: getDeck,
+  deckCard: deckCard,
+  getSettings: getSettings,
+  validateSettings: validateSettings,
+  createPlayer: createPlayer,
+  canControlRound: canControlRound,
+  validatePlayerName: validatePlayerName,
+  validateVote: validateVote,
+  shouldAutoReveal: shouldAutoReveal,
+  joinEvents: joinEvents,
+  sessionUpdateEvent: sessionUpdateEvent,
+  voteEvents: voteEvents,
+  joinSession: joinSession,
+  castVote: castVote,
+  revealVotes: revealVotes,
+  updateSettings: updateSettings,
+  resetVotes: resetVotes,
+  validateStory: validateStory,
+  appendStories: appendStories,
+  addStory: addStory,
+  importStories: importStories,
+  reorderStories: reorderStories,
+  nextStory: nextStory,
+  skipStory: skipStory,
+  getStories: getStories,
+  getCurrentStory: getCurrentStory,
+  commitEstimate: commitEstimate,
+  getEstimatesLog: getEstimatesLog,
+  getRounds: getRounds,
+  validateIssueKey: validateIssueKey,
+  roundIssueKey: roundIssueKey,
+  getIssueEstimates: getIssueEstimates,
+  revealUpdates: revealUpdates,
+  currentRoundEntry: currentRoundEntry,
+  leaveSession: leaveSession,
+  transferFacilitator: transferFacilitator,
+  isFacilitatorAbandoned: isFacilitatorAbandoned,
+  promoteFacilitator: promoteFacilitator,
+  getSessionState: getSessionState,
+  getSessionUpdates: getSessionUpdates,
+  checkConsensus: checkConsensus,
+  getConsensus: getConsensus,
+  getRoundStats: getRoundStats,
+  isSpecialCard: isSpecialCard
+};
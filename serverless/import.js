@@ -0,0 +1,209 @@
+// serverless/import.js
+// Story backlog import from CSV or JSON files (ES5 syntax, no const/let)
+// Directory: serverless/import.js
+//
+// Turns an uploaded file (e.g. a Jira or GitHub issues export) into stories
+// for game.importStories. Columns are matched to story fields by a mapping
+// such as { title: 'Summary', key: 'Issue key', estimate: 'Story Points' };
+// fields without a mapping are looked up under their usual column names.
+// JSON mappings may use dotted paths such as 'fields.summary'.
+
+var game = require('./game');
+
+var MAX_IMPORT_BYTES = 256 * 1024;
+
+// Column names tried, in order, when a field has no mapping
+var DEFAULT_COLUMNS = {
+  key: ['key', 'issue key', 'number', 'id'],
+  title: ['title', 'summary', 'name', 'fields.summary'],
+  description: ['description', 'body', 'fields.description'],
+  estimate: ['estimate', 'story points', 'storypoints', 'story_points', 'points', 'story point estimate'],
+  link: ['link', 'url', 'html_url']
+};
+
+function importError(message) {
+  return { error: { code: 'INVALID_IMPORT', message: message } };
+}
+
+// RFC 4180 CSV: quoted fields may hold commas, quotes ("") and line breaks.
+// The delimiter (comma, semicolon or tab) is taken from the header line.
+function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, ''); // byte order mark from Excel
+
+  var headerLine = text.split(/\r?\n/)[0];
+  var delimiter = [',', ';', '\t'].reduce(function(best, candidate) {
+    return headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best;
+  }, ',');
+
+  var rows = [];
+  var row = [];
+  var field = '';
+  var inQuotes = false;
+
+  for (var i = 0; i < text.length; i++) {
+    var char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines are not rows
+  return rows.filter(function(cells) {
+    return cells.some(function(cell) { return cell.trim() !== ''; });
+  });
+}
+
+// Read a value by column name (CSV) or dotted path (JSON), ignoring case
+function readField(record, path) {
+  return path.split('.').reduce(function(value, part) {
+    if (!value || typeof value !== 'object') return undefined;
+
+    var match = Object.keys(value).filter(function(key) {
+      return key.toLowerCase() === part.toLowerCase();
+    })[0];
+    return match === undefined ? undefined : value[match];
+  }, record);
+}
+
+// Resolve each field to the column it is read from, or report a mapping that
+// names a column the file does not have. sample: the first record.
+function resolveColumns(sample, mapping) {
+  var columns = {};
+
+  for (var field in DEFAULT_COLUMNS) {
+    if (!DEFAULT_COLUMNS.hasOwnProperty(field)) continue;
+
+    if (mapping[field]) {
+      if (readField(sample, mapping[field]) === undefined) {
+        return importError('Column "' + mapping[field] + '" mapped to ' + field + ' was not found');
+      }
+      columns[field] = mapping[field];
+    } else {
+      columns[field] = DEFAULT_COLUMNS[field].filter(function(name) {
+        return readField(sample, name) !== undefined;
+      })[0];
+    }
+  }
+
+  if (!columns.title) {
+    return importError('No title column found; map one with title=<column name>');
+  }
+  return { columns: columns };
+}
+
+function csvRecords(text) {
+  var rows = parseCsv(text);
+  if (rows.length < 2) return importError('The CSV file needs a header row and at least one story');
+
+  var header = rows[0].map(function(name) { return name.trim(); });
+  return {
+    records: rows.slice(1).map(function(cells) {
+      var record = {};
+      header.forEach(function(name, index) {
+        record[name] = cells[index] === undefined ? '' : cells[index];
+      });
+      return record;
+    }),
+    firstRow: 2 // row 1 is the header
+  };
+}
+
+// A JSON export is an array of items, or an object holding one under
+// issues (Jira), items or stories
+function jsonRecords(value) {
+  var records = Array.isArray(value) ? value
+    : value && (value.issues || value.items || value.stories);
+
+  if (!Array.isArray(records) || records.length === 0) {
+    return importError('The JSON file must be an array of stories, or hold one under issues, items or stories');
+  }
+  return { records: records, firstRow: 1 };
+}
+
+function isJson(contentType, body) {
+  if (typeof body !== 'string') return true;
+  return /json/i.test(contentType || '') || /^\s*[\[{]/.test(body);
+}
+
+// Parse an upload into checked stories. body is the raw text, or the already
+// parsed JSON value. Returns { error } when the file itself is unusable, else
+// { stories, errors } where errors are { row, message } for skipped rows.
+function parseImport(body, contentType, mapping) {
+  mapping = mapping || {};
+
+  if (typeof body === 'string' && Buffer.byteLength(body) > MAX_IMPORT_BYTES) {
+    return importError('Import files are limited to ' + MAX_IMPORT_BYTES / 1024 + ' KB');
+  }
+
+  var parsed;
+  if (isJson(contentType, body)) {
+    var value = body;
+    if (typeof body === 'string') {
+      try {
+        value = JSON.parse(body);
+      } catch (error) {
+        return importError('The file is not valid JSON: ' + error.message);
+      }
+    }
+    parsed = jsonRecords(value);
+  } else {
+    parsed = csvRecords(body);
+  }
+  if (parsed.error) return parsed;
+
+  var resolved = resolveColumns(parsed.records[0], mapping);
+  if (resolved.error) return resolved;
+
+  var stories = [];
+  var errors = [];
+  parsed.records.forEach(function(record, index) {
+    var input = {};
+    for (var field in resolved.columns) {
+      if (resolved.columns.hasOwnProperty(field) && resolved.columns[field]) {
+        var cell = readField(record, resolved.columns[field]);
+        input[field] = typeof cell === 'number' && field !== 'estimate' ? String(cell) : cell;
+      }
+    }
+
+    var checked = game.validateStory(input);
+    if (checked.error) {
+      errors.push({ row: parsed.firstRow + index, message: checked.error.message });
+    } else {
+      stories.push(checked.story);
+    }
+  });
+
+  return { stories: stories, errors: errors };
+}
+
+module.exports = {
+  MAX_IMPORT_BYTES: MAX_IMPORT_BYTES,
+  parseCsv: parseCsv,
+  parseImport: parseImport
+};
@@ -9,6 +9,17 @@ var socketIo = require('socket.io');
 var cors = require('cors');
 require('dotenv').config();
 
+var game = require('./game');
+var db = require('./db');
+var storage = require('./storage');
+var rateLimit = require('./rate-limit');
+var createSessionCode = require('./session-code').createSessionCode;
+var messages = require('./messages');
+
+// Sessions here live in this process, so the attempt counters (rate-limit.js)
+// stay in memory too unless STORAGE_ADAPTER points them somewhere shared
+db.useStore(storage.createStore({ adapter: process.env.STORAGE_ADAPTER || 'memory' }));
+
 var app = express();
 var server = http.createServer(app);
 
@@ -19,7 +30,10 @@ var io = socketIo(server, {
             ? "https://team2playscards.com" 
             : ["http://localhost:3000", "http://localhost:8080"],
         methods: ["GET", "POST"]
-    }
+    },
+    // Socket.IO drops larger frames outright; anything over MAX_MESSAGE_BYTES
+    // but under this still gets a MESSAGE_TOO_LARGE reply (see messages.js)
+    maxHttpBufferSize: messages.MAX_MESSAGE_BYTES * 4
 });
 
 // Security middleware
@@ -33,9 +47,9 @@ app.use(cors({
 // Body parsing middleware
 app.use(express.json());
 
-// Password Protection Configuration
-var TEAM_PASSWORD = process.env.TEAM_PASSWORD || 'Prime';
-console.log('🔒 Password protection enabled. Team password set.');
+// Optional organization-wide password, checked on top of any per-session
+// passcode (see passcode.js). Unset means no team-level gate.
+var TEAM_PASSWORD = process.env.TEAM_PASSWORD || null;
 
 // In-memory session storage
 var sessions = new Map();
@@ -45,22 +59,19 @@ var sessionTimeouts = new Map();
 var SESSION_TIMEOUT = 2 * 60 * 60 * 1000; // 2 hours in milliseconds
 
 // Utility functions
-function generateSessionCode() {
-    return Math.random().toString(36).substr(2, 8).toUpperCase();
+// Lookup for createSessionCode, which needs codes no session here uses
+function findSession(sessionCode) {
+    return sessions.get(sessionCode);
 }
 
 function validatePassword(providedPassword) {
-    return providedPassword && providedPassword === TEAM_PASSWORD;
+    if (!TEAM_PASSWORD) return true;
+    return Boolean(providedPassword) && providedPassword === TEAM_PASSWORD;
 }
 
-function createSession(sessionCode) {
-    var session = {
-        id: sessionCode,
-        players: new Map(),
-        votesRevealed: false,
-        createdAt: new Date(),
-        lastActivity: new Date()
-    };
+function createSession(sessionCode, options) {
+    var session = game.createSession(sessionCode, options);
+    session.lastActivity = new Date().toISOString();
     
     sessions.set(sessionCode, session);
     scheduleSessionCleanup(sessionCode);
@@ -99,45 +110,68 @@ function deleteSession(sessionCode) {
 
 function updateSessionActivity(sessionCode) {
     if (sessions.has(sessionCode)) {
-        sessions.get(sessionCode).lastActivity = new Date();
+        sessions.get(sessionCode).lastActivity = new Date().toISOString();
         scheduleSessionCleanup(sessionCode);
     }
 }
 
-function checkConsensus(session) {
-    var votes = [];
-    session.players.forEach(function(player) {
-        if (player.hasVoted && !player.isSpectator) {
-            votes.push(player.vote);
+// Store the engine's result and deliver its events to the session room.
+// Events flagged with excludePlayer go to everyone except the acting socket.
+function applyResult(socket, sessionCode, result) {
+    sessions.set(sessionCode, result.session);
+    updateSessionActivity(sessionCode);
+    
+    result.events.forEach(function(event) {
+        if (event.excludePlayer) {
+            socket.to(sessionCode).emit(event.name, event.data);
+        } else {
+            io.to(sessionCode).emit(event.name, event.data);
         }
     });
+}
+
+// Run a game engine action for the player behind this socket, in the session
+// the socket joined (never a code the client sends, or a player could act in
+// another session under a name they took in their own). Emits the error and
+// returns null when the action cannot run or is rejected.
+function runAction(socket, action, actionData) {
+    var sessionCode = socket.sessionCode;
     
-    if (votes.length === 0) return false;
+    if (!sessionCode || !sessions.has(sessionCode)) {
+        socket.emit('error', { message: 'Invalid session' });
+        return null;
+    }
     
-    var firstVote = votes[0];
-    for (var i = 0; i < votes.length; i++) {
-        if (votes[i] !== firstVote) {
-            return false;
-        }
+    if (!socket.playerName) {
+        socket.emit('error', { message: 'Player not identified' });
+        return null;
     }
-    return true;
+    
+    var result = action(sessions.get(sessionCode), Object.assign({}, actionData, {
+        playerName: socket.playerName
+    }));
+    
+    if (result.error) {
+        socket.emit('error', result.error);
+        return null;
+    }
+    
+    return result;
 }
 
-function getSessionState(session) {
-    var players = {};
-    session.players.forEach(function(player, name) {
-        players[name] = {
-            hasVoted: player.hasVoted,
-            vote: session.votesRevealed ? player.vote : null,
-            isSpectator: player.isSpectator
-        };
-    });
-    
-    return {
-        players: players,
-        votesRevealed: session.votesRevealed,
-        hasConsensus: session.votesRevealed ? checkConsensus(session) : false
-    };
+// Once a disconnected facilitator's grace period is over, hand the role to
+// the longest-connected player (see game.promoteFacilitator)
+function scheduleFacilitatorPromotion(sessionCode) {
+    setTimeout(function() {
+        var session = sessions.get(sessionCode);
+        if (!session || !game.isFacilitatorAbandoned(session)) return;
+        
+        var result = game.promoteFacilitator(session);
+        if (result.error) return;
+        
+        console.log('👑 ' + result.session.facilitator + ' is now the facilitator of session ' + sessionCode);
+        applyResult(null, sessionCode, result);
+    }, game.FACILITATOR_GRACE_SECONDS * 1000);
 }
 
 // API Routes with Password Protection
@@ -148,30 +182,71 @@ app.get('/api/health', function(req, res) {
         status: 'healthy',
         timestamp: new Date().toISOString(),
         version: '2.0-password-protected',
-        passwordProtected: true
+        passwordProtected: Boolean(TEAM_PASSWORD)
     });
 });
 
-// Password validation middleware for API routes
+// Password validation middleware for API routes. Wrong passwords count
+// against the caller's address (see rate-limit.js).
 function requirePassword(req, res, next) {
     var providedPassword = req.headers['x-team-password'] || req.body.password;
+    var attempts = rateLimit.attemptKeys(req.ip);
     
-    if (!validatePassword(providedPassword)) {
-        return res.status(401).json({
-            error: 'Access denied',
-            message: 'Valid team password required',
-            code: 'INVALID_PASSWORD'
+    rateLimit.check(attempts).then(function(limited) {
+        if (limited) {
+            return rateLimit.sendRateLimited(res, limited);
+        }
+        
+        if (validatePassword(providedPassword)) {
+            return next();
+        }
+        
+        return rateLimit.recordFailure(attempts).then(function(locked) {
+            if (locked) {
+                return rateLimit.sendRateLimited(res, locked);
+            }
+            
+            res.status(401).json({
+                error: 'Access denied',
+                message: 'Valid team password required',
+                code: 'INVALID_PASSWORD'
+            });
         });
-    }
+    }).catch(next);
+}
+
+// Every route below taking a session code counts 404s (and wrong passcodes)
+// as guesses
+app.use('/api/sessions/:sessionCode', rateLimit.guardLookups);
+
+// Sessions created with a passcode only show their contents to callers
+// sending it in the X-Session-Passcode header. Sends the 403 and returns true
+// when the passcode is missing or wrong.
+function rejectPasscode(req, res, session) {
+    var error = game.checkPasscode(session, req.get('X-Session-Passcode'));
+    if (!error) return false;
     
-    next();
+    res.status(403).json({
+        error: 'Access denied',
+        message: error.message,
+        code: error.code
+    });
+    return true;
 }
 
 // Create session endpoint (password required)
 app.post('/api/sessions', requirePassword, function(req, res) {
-    try {
-        var sessionCode = generateSessionCode();
-        createSession(sessionCode);
+    var checked = game.validateSessionOptions(req.body);
+    if (checked.error) {
+        return res.status(400).json({
+            error: 'Invalid session options',
+            message: checked.error.message,
+            code: checked.error.code
+        });
+    }
+    
+    createSessionCode(findSession).then(function(sessionCode) {
+        createSession(sessionCode, checked.options);
         
         var frontendUrl = process.env.NODE_ENV === 'production' 
             ? 'https://team2playscards.com' 
@@ -180,18 +255,19 @@ app.post('/api/sessions', requirePassword, function(req, res) {
         res.json({
             sessionCode: sessionCode,
             shareUrl: frontendUrl + '?session=' + sessionCode,
+            hasPasscode: Boolean(checked.options.passcodeHash),
             message: 'Session created successfully'
         });
         
         console.log('📋 Session created via API: ' + sessionCode);
         
-    } catch (error) {
+    }).catch(function(error) {
         console.error('❌ Error creating session:', error);
         res.status(500).json({
             error: 'Failed to create session',
             message: error.message
         });
-    }
+    });
 });
 
 // Get session endpoint (password required)
@@ -207,9 +283,11 @@ app.get('/api/sessions/:sessionCode', requirePassword, function(req, res) {
             });
         }
         
+        if (rejectPasscode(req, res, session)) return;
+        
         res.json({
             sessionCode: sessionCode,
-            state: getSessionState(session),
+            state: game.getSessionState(session),
             createdAt: session.createdAt,
             lastActivity: session.lastActivity
         });
@@ -223,13 +301,56 @@ app.get('/api/sessions/:sessionCode', requirePassword, function(req, res) {
     }
 });
 
+// Round history endpoint (password required)
+app.get('/api/sessions/:sessionCode/rounds', requirePassword, function(req, res) {
+    var sessionCode = req.params.sessionCode.toUpperCase();
+    var session = sessions.get(sessionCode);
+    
+    if (!session) {
+        return res.status(404).json({
+            error: 'Session not found',
+            sessionCode: sessionCode
+        });
+    }
+    
+    if (rejectPasscode(req, res, session)) return;
+    
+    res.json({
+        sessionCode: sessionCode,
+        rounds: game.getRounds(session)
+    });
+});
+
+// Whether another connected socket plays as this socket's player in its session
+function hasOtherSocket(socket) {
+    return Array.from(io.sockets.sockets.values()).some(function(other) {
+        return other.id !== socket.id &&
+            other.sessionCode === socket.sessionCode &&
+            other.playerName === socket.playerName;
+    });
+}
+
 // WebSocket Connection with Password Protection
 io.on('connection', function(socket) {
     console.log('🔌 New client connected:', socket.id);
     
-    // Join session with password validation
-    socket.on('joinSession', function(data) {
-        var sessionCode = data.sessionCode;
+    // Check every event against its schema (messages.js) before the handlers
+    // below run; they get the checked data in place of what was sent
+    socket.use(function(packet, next) {
+        var checked = messages.validateMessage(packet[0], packet[1]);
+        if (checked.error) {
+            console.log('❌ Rejected ' + packet[0] + ' from ' + socket.id + ': ' + checked.error.message);
+            socket.emit('error', checked.error);
+            return;
+        }
+        
+        packet[1] = checked.data;
+        next();
+    });
+    
+    // Join session with password validation. Returns the error to send back,
+    // or null once joined.
+    function joinSession(data, cleanSessionCode) {
         var playerName = data.playerName;
         var password = data.password;
         var isSpectator = data.isSpectator;
@@ -237,53 +358,32 @@ io.on('connection', function(socket) {
         // Validate password
         if (!validatePassword(password)) {
             console.log('❌ Invalid password attempt from ' + playerName + ' (' + socket.id + ')');
-            socket.emit('error', {
+            return {
                 message: 'Invalid team password. Please check with your team admin.',
                 code: 'INVALID_PASSWORD'
-            });
-            return;
+            };
         }
         
-        // Validate required fields
-        if (!playerName || playerName.trim().length === 0) {
-            socket.emit('error', {
-                message: 'Player name is required',
-                code: 'MISSING_NAME'
-            });
-            return;
+        // Sessions come from POST /api/sessions or a join without a code
+        var session = sessions.get(cleanSessionCode);
+        if (!session) {
+            return game.sessionNotFound();
         }
         
-        var cleanPlayerName = playerName.trim();
-        var cleanSessionCode = sessionCode ? sessionCode.trim().toUpperCase() : generateSessionCode();
-        
-        console.log('✅ Authorized user ' + cleanPlayerName + ' joining session ' + cleanSessionCode);
-        
-        updateSessionActivity(cleanSessionCode);
+        var result = game.joinSession(session, {
+            playerName: playerName,
+            isSpectator: isSpectator,
+            passcode: data.passcode,
+            playerToken: data.playerToken
+        });
         
-        // Create session if it doesn't exist
-        if (!sessions.has(cleanSessionCode)) {
-            createSession(cleanSessionCode);
+        if (result.error) {
+            return result.error;
         }
         
-        var session = sessions.get(cleanSessionCode);
-        
-        // Check if player name is already taken (unless reconnecting)
-        if (session.players.has(cleanPlayerName)) {
-            var existingPlayer = session.players.get(cleanPlayerName);
-            // Allow reconnection by updating socket ID
-            existingPlayer.socketId = socket.id;
-            console.log('🔄 Player ' + cleanPlayerName + ' reconnected to session ' + cleanSessionCode);
-        } else {
-            // Add new player to session
-            session.players.set(cleanPlayerName, {
-                hasVoted: false,
-                vote: null,
-                isSpectator: Boolean(isSpectator),
-                socketId: socket.id,
-                joinedAt: new Date()
-            });
-            console.log('➕ Player ' + cleanPlayerName + ' joined session ' + cleanSessionCode + ' as ' + (isSpectator ? 'spectator' : 'voter'));
-        }
+        var cleanPlayerName = result.playerName;
+        console.log((result.reconnected ? '🔄 Player ' : '➕ Player ') + cleanPlayerName +
+            (result.reconnected ? ' reconnected to session ' : ' joined session ') + cleanSessionCode);
         
         // Join socket room
         socket.join(cleanSessionCode);
@@ -293,137 +393,167 @@ io.on('connection', function(socket) {
         socket.playerName = cleanPlayerName;
         
         // Send session state to all players
-        var sessionState = getSessionState(session);
-        sessionState.sessionCode = cleanSessionCode;
-        
-        io.to(cleanSessionCode).emit('sessionUpdate', sessionState);
+        applyResult(socket, cleanSessionCode, result);
         
         // Send success confirmation to joining player
         socket.emit('joinSuccess', {
             sessionCode: cleanSessionCode,
             playerName: cleanPlayerName,
-            isSpectator: Boolean(isSpectator)
+            isSpectator: result.session.players[cleanPlayerName].isSpectator,
+            isFacilitator: result.session.facilitator === cleanPlayerName,
+            // Keep this to reclaim the name after a reconnect
+            playerToken: result.playerToken
+        });
+        
+        return null;
+    }
+    
+    // Wrong passwords, unknown codes, passcodes and player tokens count per address and per socket
+    socket.on('joinSession', function(data) {
+        var attempts = rateLimit.attemptKeys(socket.handshake.address, socket.id);
+        
+        rateLimit.check(attempts).then(function(limited) {
+            if (limited) {
+                socket.emit('error', limited);
+                return;
+            }
+            
+            // No code starts a new session under a fresh one
+            var sessionCode = data.sessionCode
+                ? Promise.resolve(data.sessionCode.trim().toUpperCase())
+                : createSessionCode(findSession).then(function(code) {
+                    return createSession(code).sessionCode;
+                });
+            
+            return sessionCode.then(function(cleanSessionCode) {
+                var error = joinSession(data, cleanSessionCode);
+                if (!error) return;
+                
+                if (!rateLimit.isGuessError(error)) {
+                    socket.emit('error', error);
+                    return;
+                }
+                return rateLimit.recordFailure(attempts).then(function(locked) {
+                    socket.emit('error', locked || error);
+                });
+            });
+        }).catch(function(error) {
+            console.error('❌ Error joining session:', error);
+            socket.emit('error', { message: 'Failed to join session' });
         });
     });
     
     // Cast vote
     socket.on('castVote', function(data) {
-        var sessionCode = data.sessionCode;
-        var vote = data.vote;
+        var result = runAction(socket, game.castVote, { vote: data && data.vote });
+        if (!result) return;
         
-        if (!sessionCode || !sessions.has(sessionCode)) {
-            socket.emit('error', { message: 'Invalid session' });
-            return;
+        console.log('🗳️ ' + socket.playerName + ' voted ' + data.vote + ' in session ' + socket.sessionCode);
+        if (result.session.votesRevealed) {
+            console.log('🎉 All players voted in session ' + socket.sessionCode + ' - revealing votes');
         }
         
-        if (!socket.playerName) {
-            socket.emit('error', { message: 'Player not identified' });
-            return;
-        }
-        
-        var session = sessions.get(sessionCode);
-        var player = session.players.get(socket.playerName);
+        applyResult(socket, socket.sessionCode, result);
+    });
+    
+    // Reveal votes before everyone has voted (facilitator only)
+    socket.on('revealVotes', function(data) {
+        var result = runAction(socket, game.revealVotes);
+        if (!result) return;
         
-        if (!player) {
-            socket.emit('error', { message: 'Player not found in session' });
-            return;
-        }
+        console.log('👀 Votes revealed by ' + socket.playerName + ' in session ' + socket.sessionCode);
         
-        if (player.isSpectator) {
-            socket.emit('error', { message: 'Spectators cannot vote' });
-            return;
-        }
+        applyResult(socket, socket.sessionCode, result);
+    });
+    
+    // Reset votes (facilitator only)
+    socket.on('resetVotes', function(data) {
+        var result = runAction(socket, game.resetVotes, { issueKey: data && data.issueKey });
+        if (!result) return;
         
-        if (session.votesRevealed) {
-            socket.emit('error', { message: 'Voting has ended for this round' });
-            return;
-        }
+        console.log('🔄 Votes reset by ' + socket.playerName + ' in session ' + socket.sessionCode);
         
-        // Record the vote
-        player.hasVoted = true;
-        player.vote = vote;
-        updateSessionActivity(sessionCode);
+        applyResult(socket, socket.sessionCode, result);
+    });
+    
+    // Change session settings such as autoReveal (facilitator only)
+    socket.on('updateSettings', function(data) {
+        var result = runAction(socket, game.updateSettings, { settings: data && data.settings });
+        if (!result) return;
         
-        console.log('🗳️ ' + socket.playerName + ' voted ' + vote + ' in session ' + sessionCode);
+        console.log('⚙️ Settings changed by ' + socket.playerName + ' in session ' + socket.sessionCode + ':', result.session.settings);
         
-        // Check if all players have voted (excluding spectators)
-        var votingPlayers = [];
-        session.players.forEach(function(p) {
-            if (!p.isSpectator) {
-                votingPlayers.push(p);
-            }
+        applyResult(socket, socket.sessionCode, result);
+    });
+    
+    // Commit the final estimate for the revealed round (facilitator only)
+    socket.on('commitEstimate', function(data) {
+        var result = runAction(socket, game.commitEstimate, {
+            estimate: data && data.estimate,
+            label: data && data.label
         });
+        if (!result) return;
         
-        var allVoted = votingPlayers.length > 0;
-        for (var i = 0; i < votingPlayers.length; i++) {
-            if (!votingPlayers[i].hasVoted) {
-                allVoted = false;
-                break;
-            }
-        }
-        
-        if (allVoted) {
-            session.votesRevealed = true;
-            console.log('🎉 All players voted in session ' + sessionCode + ' - revealing votes');
-        }
+        console.log('📌 Estimate ' + result.session.estimates[result.session.estimates.length - 1].value +
+            ' committed by ' + socket.playerName + ' in session ' + socket.sessionCode);
         
-        // Send updated session state
-        var sessionState = getSessionState(session);
-        sessionState.sessionCode = sessionCode;
-        io.to(sessionCode).emit('sessionUpdate', sessionState);
+        applyResult(socket, socket.sessionCode, result);
     });
     
-    // Reset votes (spectators only)
-    socket.on('resetVotes', function(data) {
-        var sessionCode = data.sessionCode;
-        
-        if (!sessionCode || !sessions.has(sessionCode)) {
-            socket.emit('error', { message: 'Invalid session' });
-            return;
-        }
-        
-        if (!socket.playerName) {
-            socket.emit('error', { message: 'Player not identified' });
-            return;
-        }
-        
-        var session = sessions.get(sessionCode);
-        var player = session.players.get(socket.playerName);
-        
-        if (!player || !player.isSpectator) {
-            socket.emit('error', { message: 'Only spectators can reset votes' });
-            return;
-        }
-        
-        // Reset all votes
-        session.players.forEach(function(playerData) {
-            if (!playerData.isSpectator) {
-                playerData.hasVoted = false;
-                playerData.vote = null;
-            }
+    // Story backlog (facilitator only)
+    socket.on('addStory', function(data) {
+        var result = runAction(socket, game.addStory, { story: data && data.story });
+        if (result) applyResult(socket, socket.sessionCode, result);
+    });
+    
+    socket.on('reorderStories', function(data) {
+        var result = runAction(socket, game.reorderStories, { storyIds: data && data.storyIds });
+        if (result) applyResult(socket, socket.sessionCode, result);
+    });
+    
+    socket.on('nextStory', function(data) {
+        var result = runAction(socket, game.nextStory);
+        if (result) applyResult(socket, socket.sessionCode, result);
+    });
+    
+    socket.on('skipStory', function(data) {
+        var result = runAction(socket, game.skipStory);
+        if (result) applyResult(socket, socket.sessionCode, result);
+    });
+    
+    // Hand the facilitator role to another player (facilitator only)
+    socket.on('transferFacilitator', function(data) {
+        var result = runAction(socket, game.transferFacilitator, {
+            newFacilitator: data && data.newFacilitator
         });
+        if (!result) return;
         
-        session.votesRevealed = false;
-        updateSessionActivity(sessionCode);
+        console.log('👑 ' + socket.playerName + ' handed the facilitator role to ' + result.session.facilitator +
+            ' in session ' + socket.sessionCode);
         
-        console.log('🔄 Votes reset by spectator ' + socket.playerName + ' in session ' + sessionCode);
-        
-        // Send updated session state
-        var sessionState = getSessionState(session);
-        sessionState.sessionCode = sessionCode;
-        io.to(sessionCode).emit('sessionUpdate', sessionState);
+        applyResult(socket, socket.sessionCode, result);
     });
     
     // Handle disconnect
     socket.on('disconnect', function() {
         console.log('🔌 Client disconnected: ' + socket.id);
         
-        if (socket.sessionCode && socket.playerName) {
-            var session = sessions.get(socket.sessionCode);
-            if (session && session.players.has(socket.playerName)) {
-                // Don't remove player immediately - they might reconnect
-                // Just log the disconnection
+        if (socket.sessionCode && socket.playerName && sessions.has(socket.sessionCode)) {
+            // The player may already be back on a newer socket (e.g. page reload)
+            if (hasOtherSocket(socket)) return;
+            
+            // Keep the player's slot - they might reconnect
+            var result = game.leaveSession(sessions.get(socket.sessionCode), {
+                playerName: socket.playerName
+            });
+            
+            if (!result.error) {
                 console.log('👋 ' + socket.playerName + ' disconnected from session ' + socket.sessionCode);
+                applyResult(socket, socket.sessionCode, result);
+                
+                if (result.session.facilitator === socket.playerName) {
+                    scheduleFacilitatorPromotion(socket.sessionCode);
+                }
             }
         }
     });
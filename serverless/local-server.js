@@ -11,15 +11,23 @@ var cors = require('cors');
 process.env.IS_OFFLINE = 'true';
 process.env.NODE_ENV = 'development';
 
-// Import our database functions
+// Import our database functions and the shared game engine
 var db = require('./db');
+var game = require('./game');
+var sessionExport = require('./export');
+var storyImport = require('./import');
+var rateLimit = require('./rate-limit');
+var createSessionCode = require('./session-code').createSessionCode;
+var messages = require('./messages');
 var createSession = db.createSession;
 var getSession = db.getSession;
-var updateSession = db.updateSession;
+var modifySession = db.modifySession;
+var joinPlayer = db.joinPlayer;
+var recordVote = db.recordVote;
 var storeConnection = db.storeConnection;
 var getConnection = db.getConnection;
+var removeConnection = db.removeConnection;
 var getConnectionsBySession = db.getConnectionsBySession;
-var checkConsensus = db.checkConsensus;
 var debugState = db.debugState;
 
 var app = express();
@@ -31,7 +39,10 @@ var io = socketIo(server, {
     origin: "http://localhost:8080",
     methods: ["GET", "POST"],
     credentials: true
-  }
+  },
+  // Socket.IO drops larger frames outright; anything over MAX_MESSAGE_BYTES
+  // but under this still gets a MESSAGE_TOO_LARGE reply (see messages.js)
+  maxHttpBufferSize: messages.MAX_MESSAGE_BYTES * 4
 });
 
 // Express middleware
@@ -39,24 +50,46 @@ app.use(cors({
   origin: "http://localhost:8080",
   credentials: true
 }));
-app.use(express.json());
+// Large enough for backlog imports sent as JSON
+app.use(express.json({ limit: storyImport.MAX_IMPORT_BYTES }));
+
+// HTTP API routes
+
+// Every route below taking a session code counts 404s (and wrong passcodes)
+// as guesses
+app.use('/api/sessions/:sessionCode', rateLimit.guardLookups);
 
-// Generate session code
-function generateSessionCode() {
-  return Math.random().toString(36).substr(2, 8).toUpperCase();
+// Sessions created with a passcode only show their contents to callers
+// sending it in the X-Session-Passcode header. Sends the 403 and returns true
+// when the passcode is missing or wrong.
+function rejectPasscode(req, res, session) {
+  var error = game.checkPasscode(session, req.get('X-Session-Passcode'));
+  if (!error) return false;
+  
+  res.status(403).json({ error: error.message, code: error.code });
+  return true;
 }
 
-// HTTP API routes
 app.post('/api/sessions', function(req, res) {
   console.log('📋 HTTP: POST /api/sessions');
   
-  var sessionCode = generateSessionCode();
+  var checked = game.validateSessionOptions(req.body);
+  if (checked.error) {
+    return res.status(400).json({ error: checked.error.message, code: checked.error.code });
+  }
+  
+  var sessionCode;
   
-  createSession(sessionCode)
+  createSessionCode()
+    .then(function(code) {
+      sessionCode = code;
+      return createSession(sessionCode, checked.options);
+    })
     .then(function() {
       var response = {
         sessionCode: sessionCode,
-        shareUrl: 'http://localhost:8080?session=' + sessionCode
+        shareUrl: 'http://localhost:8080?session=' + sessionCode,
+        hasPasscode: Boolean(checked.options.passcodeHash)
       };
       
       res.json(response);
@@ -78,13 +111,11 @@ app.get('/api/sessions/:sessionCode', function(req, res) {
         return res.status(404).json({ error: 'Session not found' });
       }
       
+      if (rejectPasscode(req, res, session)) return;
+      
       var response = {
         sessionCode: sessionCode,
-        state: {
-          players: session.players || {},
-          votesRevealed: session.votesRevealed || false,
-          hasConsensus: checkConsensus(session)
-        },
+        state: game.getSessionState(session),
         shareUrl: 'http://localhost:8080?session=' + sessionCode
       };
       
@@ -96,6 +127,147 @@ app.get('/api/sessions/:sessionCode', function(req, res) {
     });
 });
 
+app.get('/api/sessions/:sessionCode/rounds', function(req, res) {
+  console.log('📋 HTTP: GET /api/sessions/' + req.params.sessionCode + '/rounds');
+  
+  var sessionCode = req.params.sessionCode.toUpperCase();
+  
+  getSession(sessionCode)
+    .then(function(session) {
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      
+      if (rejectPasscode(req, res, session)) return;
+      
+      res.json({
+        sessionCode: sessionCode,
+        rounds: game.getRounds(session)
+      });
+    })
+    .catch(function(error) {
+      console.error('❌ HTTP API Error:', error);
+      res.status(500).json({ error: error.message });
+    });
+});
+
+// ?format=json|csv|markdown, or the Accept header when no format is given
+app.get('/api/sessions/:sessionCode/export', function(req, res) {
+  console.log('📋 HTTP: GET /api/sessions/' + req.params.sessionCode + '/export');
+  
+  var sessionCode = req.params.sessionCode.toUpperCase();
+  var choice = sessionExport.chooseFormat(req.query.format, req.get('Accept'));
+  
+  if (choice.error) {
+    return res.status(choice.error.status).json({ error: choice.error.message, code: choice.error.code });
+  }
+  
+  getSession(sessionCode)
+    .then(function(session) {
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      
+      if (rejectPasscode(req, res, session)) return;
+      
+      var exported = sessionExport.exportSession(session, choice.format);
+      
+      res.set('Content-Type', exported.contentType);
+      res.attachment(exported.filename);
+      res.send(exported.body);
+    })
+    .catch(function(error) {
+      console.error('❌ HTTP API Error:', error);
+      res.status(500).json({ error: error.message });
+    });
+});
+
+app.get('/api/sessions/:sessionCode/jira', function(req, res) {
+  console.log('📋 HTTP: GET /api/sessions/' + req.params.sessionCode + '/jira');
+  
+  var sessionCode = req.params.sessionCode.toUpperCase();
+  var choice = sessionExport.chooseFormat(req.query.format, req.get('Accept'), sessionExport.JIRA_FORMATS);
+  var checked = choice.error ? choice : sessionExport.validateJiraField(req.query.field);
+  
+  if (checked.error) {
+    return res.status(checked.error.status).json({ error: checked.error.message, code: checked.error.code });
+  }
+  
+  getSession(sessionCode)
+    .then(function(session) {
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      
+      if (rejectPasscode(req, res, session)) return;
+      
+      var exported = sessionExport.exportJira(session, choice.format, checked.field);
+      
+      res.set('Content-Type', exported.contentType);
+      res.attachment(exported.filename);
+      res.send(exported.body);
+    })
+    .catch(function(error) {
+      console.error('❌ HTTP API Error:', error);
+      res.status(500).json({ error: error.message });
+    });
+});
+
+// Backlog import: a CSV or JSON file as the request body, with optional
+// column mapping in the query string (?title=Summary&key=Issue%20key). Only
+// the facilitator may import: ?playerName= and their X-Player-Token header.
+app.post('/api/sessions/:sessionCode/stories/import', express.text({
+  type: ['text/*', 'application/csv'],
+  limit: storyImport.MAX_IMPORT_BYTES
+}), function(req, res) {
+  console.log('📋 HTTP: POST /api/sessions/' + req.params.sessionCode + '/stories/import');
+  
+  var sessionCode = req.params.sessionCode.toUpperCase();
+  var mapping = {};
+  ['key', 'title', 'description', 'estimate', 'link'].forEach(function(field) {
+    if (req.query[field]) mapping[field] = String(req.query[field]);
+  });
+  
+  var parsed = storyImport.parseImport(req.body, req.get('Content-Type'), mapping);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error.message, code: parsed.error.code });
+  }
+  if (parsed.stories.length === 0) {
+    return res.status(400).json({ error: 'No valid stories found in the file', code: 'INVALID_IMPORT', errors: parsed.errors });
+  }
+  
+  modifySession(sessionCode, function(session) {
+    return game.importStories(session, {
+      stories: parsed.stories,
+      playerName: req.query.playerName,
+      playerToken: req.get('X-Player-Token')
+    });
+  })
+    .then(function(result) {
+      if (!result) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      if (result.error) {
+        var status = result.error.code === 'NOT_AUTHORIZED' ? 403 : 400;
+        return res.status(status).json({ error: result.error.message, code: result.error.code });
+      }
+      
+      emitEvents(null, sessionCode, result.events);
+      
+      console.log('✅ Imported', parsed.stories.length, 'stories into', sessionCode);
+      res.json({
+        sessionCode: sessionCode,
+        imported: parsed.stories.length,
+        errors: parsed.errors,
+        stories: game.getSessionState(result.session).stories
+      });
+    })
+    .catch(function(error) {
+      console.error('❌ HTTP API Error:', error);
+      res.status(500).json({ error: error.message });
+    });
+});
+
 app.get('/api/health', function(req, res) {
   console.log('💚 HTTP: GET /api/health');
   
@@ -107,115 +279,216 @@ app.get('/api/health', function(req, res) {
   });
 });
 
+// Deliver game engine events to everyone in the session room.
+// Session state is wrapped as { state: ... } for the client.
+function emitEvents(socket, sessionCode, events) {
+  events.forEach(function(event) {
+    var payload = event.name === 'sessionUpdate' ? { state: event.data } : event.data;
+    
+    if (event.excludePlayer) {
+      socket.to(sessionCode).emit(event.name, payload);
+    } else {
+      io.to(sessionCode).emit(event.name, payload);
+    }
+  });
+}
+
+// Apply a game engine action through db.modifySession, which re-reads and
+// re-applies it if another write got in first
+function modifyWith(action, data) {
+  return function(connection) {
+    return modifySession(connection.sessionCode, function(session) {
+      return action(session, Object.assign({}, data, { playerName: connection.playerName }));
+    });
+  };
+}
+
+// Hand the facilitator role on if its holder has been gone past the grace
+// period (see game.promoteFacilitator). Resolves once any change is broadcast.
+function promoteAbandonedFacilitator(sessionCode) {
+  return getSession(sessionCode).then(function(session) {
+    if (!session || !game.isFacilitatorAbandoned(session)) return;
+    
+    return modifySession(sessionCode, function(latest) {
+      return game.promoteFacilitator(latest);
+    }).then(function(result) {
+      if (!result || result.error) return;
+      
+      console.log('👑', result.session.facilitator, 'is now the facilitator of session', sessionCode);
+      emitEvents(null, sessionCode, result.events);
+    });
+  });
+}
+
+// Check again once a disconnected facilitator's grace period is over
+function scheduleFacilitatorPromotion(sessionCode) {
+  setTimeout(function() {
+    promoteAbandonedFacilitator(sessionCode).catch(function(error) {
+      console.error('❌ Error promoting a facilitator:', error);
+    });
+  }, game.FACILITATOR_GRACE_SECONDS * 1000);
+}
+
+// Run a session write for the player behind this socket. `write` receives the
+// connection and resolves with a game engine result (or null if not found).
+// Resolves with { connection, result } once stored, or nothing if rejected.
+function runGameAction(socket, write) {
+  return getConnection(socket.id)
+    .then(function(connection) {
+      if (!connection) {
+        console.log('❌ Connection not found:', socket.id);
+        socket.emit('error', {
+          message: 'Connection not found. Please rejoin the session.'
+        });
+        return;
+      }
+      
+      return write(connection).then(function(result) {
+        if (!result) {
+          console.log('❌ Session not found:', connection.sessionCode);
+          socket.emit('error', {
+            message: 'Session not found'
+          });
+          return;
+        }
+        
+        if (result.error) {
+          console.log('❌ Action rejected for', connection.playerName, ':', result.error.message);
+          socket.emit('error', result.error);
+          return;
+        }
+        
+        return { connection: connection, result: result };
+      });
+    });
+}
+
+// Register a socket event that runs a game engine action through
+// modifySession and delivers its events. `fields` are copied from the event
+// data into the action's input.
+function onSessionAction(socket, eventName, action, fields) {
+  socket.on(eventName, function(data) {
+    console.log('🎲 Socket.IO:', eventName, 'event from', socket.id, ':', data);
+    
+    var actionData = {};
+    fields.forEach(function(field) {
+      actionData[field] = data ? data[field] : undefined;
+    });
+    
+    runGameAction(socket, modifyWith(action, actionData))
+      .then(function(outcome) {
+        if (!outcome) return;
+        
+        console.log('✅', eventName, 'by', outcome.connection.playerName, 'in session', outcome.connection.sessionCode);
+        emitEvents(socket, outcome.connection.sessionCode, outcome.result.events);
+      })
+      .catch(function(error) {
+        console.error('❌ Error in ' + eventName + ':', error);
+        socket.emit('error', {
+          message: 'Failed to ' + eventName + ': ' + error.message
+        });
+      });
+  });
+}
+
 // MAIN SOCKET.IO CONNECTION HANDLER
 // All socket event handlers MUST be inside this function
 io.on('connection', function(socket) {
   console.log('🔌 Socket.IO: Client connected:', socket.id);
   
+  // Check every event against its schema (messages.js) before the handlers
+  // below run; they get the checked data in place of what was sent
+  socket.use(function(packet, next) {
+    var checked = messages.validateMessage(packet[0], packet[1]);
+    if (checked.error) {
+      console.log('❌ Rejected', packet[0], 'from', socket.id, ':', checked.error.message);
+      socket.emit('error', checked.error);
+      return;
+    }
+    
+    packet[1] = checked.data;
+    next();
+  });
+  
   // Join session handler
   socket.on('joinSession', function(data) {
     console.log('🎮 Socket.IO: Join session event from', socket.id, ':', data);
     
-    var sessionCode = data.sessionCode;
-    var playerName = data.playerName;
-    var isSpectator = data.isSpectator || false;
-    
-    // Validate input
-    if (!playerName) {
-      console.log('❌ Missing player name');
-      socket.emit('error', { message: 'Player name is required' });
-      return;
-    }
-    
-    if (playerName.length > 20) {
-      console.log('❌ Player name too long:', playerName.length);
-      socket.emit('error', { message: 'Player name must be 20 characters or less' });
-      return;
-    }
+    // No code starts a new session under a fresh one
+    var finalSessionCode = data.sessionCode;
     
-    // Get or create session
-    var finalSessionCode = sessionCode || generateSessionCode();
-    console.log('🔍 Looking for session:', finalSessionCode);
+    // Unknown codes, wrong passcodes and player tokens count per address and per socket
+    var attempts = rateLimit.attemptKeys(socket.handshake.address, socket.id);
     
-    getSession(finalSessionCode)
-      .then(function(session) {
-        if (!session) {
-          console.log('📝 Creating new session:', finalSessionCode);
-          return createSession(finalSessionCode);
-        } else {
-          console.log('✅ Found existing session with', Object.keys(session.players || {}).length, 'players');
-          return session;
-        }
-      })
-      .then(function(session) {
-        // Check if player name already exists
-        if (session.players && session.players[playerName]) {
-          console.log('❌ Player name already taken:', playerName);
-          socket.emit('error', {
-            message: 'Player name "' + playerName + '" is already taken in this session'
+    rateLimit.check(attempts)
+      .then(function(limited) {
+        if (limited) return { error: limited };
+        
+        // A code must name an existing session, or it counts as a guess
+        var sessionCode = finalSessionCode
+          ? Promise.resolve(finalSessionCode)
+          : createSessionCode().then(function(code) {
+            return createSession(code).then(function() {
+              return code;
+            });
           });
-          return;
-        }
         
-        // Add player to session
-        var updatedPlayers = {};
-        // Copy existing players
-        if (session.players) {
-          for (var name in session.players) {
-            if (session.players.hasOwnProperty(name)) {
-              updatedPlayers[name] = session.players[name];
-            }
+        return sessionCode
+          .then(function(code) {
+            finalSessionCode = code;
+            console.log('🔍 Looking for session:', finalSessionCode);
+            
+            // Adds players.<name> in place - the rest of the players map is untouched
+            return joinPlayer(finalSessionCode, {
+              playerName: data.playerName,
+              isSpectator: data.isSpectator,
+              passcode: data.passcode,
+              playerToken: data.playerToken
+            });
+          });
+      })
+      .then(function(result) {
+        if (result.error) {
+          console.log('❌ Join rejected:', result.error.message);
+          if (!rateLimit.isGuessError(result.error)) {
+            socket.emit('error', result.error);
+            return;
           }
+          
+          return rateLimit.recordFailure(attempts).then(function(locked) {
+            socket.emit('error', locked || result.error);
+          });
         }
         
-        // Add new player
-        updatedPlayers[playerName] = {
-          hasVoted: false,
-          vote: null,
-          isSpectator: isSpectator,
-          joinedAt: new Date().toISOString()
-        };
-        
-        console.log('👥 Adding player to session. Total players will be:', Object.keys(updatedPlayers).length);
+        var playerName = result.playerName;
+        var isSpectator = result.session.players[playerName].isSpectator;
         
-        // Update session
-        return updateSession(finalSessionCode, {
-          players: updatedPlayers
-        }).then(function(updatedSession) {
-          // Store connection
-          return storeConnection(socket.id, finalSessionCode, playerName, isSpectator)
-            .then(function() {
-              console.log('✅ Player', playerName, 'joined session', finalSessionCode, 'as', isSpectator ? 'Spectator' : 'Voter');
-              
-              // Join the socket to a room for this session
-              socket.join(finalSessionCode);
-              
-              // Send success response to joining player
-              socket.emit('joinedSession', {
-                sessionCode: finalSessionCode,
-                playerName: playerName,
-                isSpectator: isSpectator,
-                shareUrl: 'http://localhost:8080?session=' + finalSessionCode
-              });
-              
-              // Broadcast updated state to all players in session
-              var sessionUpdate = {
-                state: {
-                  players: updatedSession.players,
-                  votesRevealed: updatedSession.votesRevealed || false,
-                  hasConsensus: checkConsensus(updatedSession)
-                }
-              };
-              
-              console.log('📡 Broadcasting session update to all players in room:', finalSessionCode);
-              
-              // Broadcast to all sockets in this session
-              io.to(finalSessionCode).emit('sessionUpdate', sessionUpdate);
-              
-              // Debug current state
-              debugState();
+        return storeConnection(socket.id, finalSessionCode, playerName, isSpectator)
+          .then(function() {
+            console.log('✅ Player', playerName, result.reconnected ? 'rejoined' : 'joined', 'session', finalSessionCode, 'as', isSpectator ? 'Spectator' : 'Voter');
+            
+            // Join the socket to a room for this session
+            socket.join(finalSessionCode);
+            
+            // Send success response to joining player
+            socket.emit('joinedSession', {
+              sessionCode: finalSessionCode,
+              playerName: playerName,
+              isSpectator: isSpectator,
+              isFacilitator: result.session.facilitator === playerName,
+              playerToken: result.playerToken, // needed to reclaim the name on reconnect
+              shareUrl: 'http://localhost:8080?session=' + finalSessionCode
             });
-        });
+            
+            console.log('📡 Broadcasting session update to all players in room:', finalSessionCode);
+            emitEvents(socket, finalSessionCode, result.events);
+            
+            // Debug current state
+            debugState();
+            
+            // A facilitator who left before a restart has no timer pending
+            return promoteAbandonedFacilitator(finalSessionCode);
+          });
       })
       .catch(function(error) {
         console.error('❌ Error in joinSession:', error);
@@ -229,96 +502,26 @@ io.on('connection', function(socket) {
   socket.on('castVote', function(data) {
     console.log('🗳️ Socket.IO: Cast vote event from', socket.id, ':', data);
     
-    var vote = data.vote;
-    
-    getConnection(socket.id)
-      .then(function(connection) {
-        if (!connection) {
-          console.log('❌ Connection not found:', socket.id);
-          socket.emit('error', {
-            message: 'Connection not found. Please rejoin the session.'
-          });
-          return;
-        }
+    // Writes only players.<name>.vote instead of the whole players map
+    runGameAction(socket, function(connection) {
+      return recordVote(connection.sessionCode, connection.playerName, data.vote);
+    })
+      .then(function(outcome) {
+        if (!outcome) return;
         
-        if (connection.isSpectator) {
-          console.log('❌ Spectator tried to vote:', connection.playerName);
-          socket.emit('error', {
-            message: 'Spectators cannot vote'
-          });
-          return;
+        console.log('✅ Vote recorded for', outcome.connection.playerName, ':', data.vote);
+        
+        // Send confirmation to voter
+        socket.emit('voteSubmitted', {
+          vote: data.vote,
+          hasVoted: true
+        });
+        
+        if (outcome.result.session.votesRevealed) {
+          console.log('🎊 All votes submitted! Revealing votes...');
         }
         
-        // Update player's vote
-        return getSession(connection.sessionCode)
-          .then(function(session) {
-            if (!session) {
-              console.log('❌ Session not found:', connection.sessionCode);
-              socket.emit('error', {
-                message: 'Session not found'
-              });
-              return;
-            }
-            
-            var updatedPlayers = {};
-            for (var playerName in session.players) {
-              if (session.players.hasOwnProperty(playerName)) {
-                updatedPlayers[playerName] = session.players[playerName];
-              }
-            }
-            
-            // Update the voting player's information
-            if (updatedPlayers[connection.playerName]) {
-              updatedPlayers[connection.playerName].hasVoted = true;
-              updatedPlayers[connection.playerName].vote = vote;
-            }
-            
-            // Check if all voters have voted
-            var allVotersVoted = true;
-            for (var name in updatedPlayers) {
-              if (updatedPlayers.hasOwnProperty(name)) {
-                var player = updatedPlayers[name];
-                if (!player.isSpectator && !player.hasVoted) {
-                  allVotersVoted = false;
-                  break;
-                }
-              }
-            }
-            
-            var updateData = {
-              players: updatedPlayers
-            };
-            
-            // Auto-reveal if all voters have voted
-            if (allVotersVoted) {
-              updateData.votesRevealed = true;
-              console.log('🎯 All voters have voted! Auto-revealing votes...');
-            }
-            
-            return updateSession(connection.sessionCode, updateData)
-              .then(function(updatedSession) {
-                console.log('✅ Vote recorded for', connection.playerName, ':', vote);
-                
-                // Send confirmation to voter
-                socket.emit('voteSubmitted', {
-                  vote: vote,
-                  hasVoted: true
-                });
-                
-                if (allVotersVoted) {
-                  console.log('🎊 All votes submitted! Revealing votes...');
-                }
-                
-                // Broadcast update to all players in the session
-                io.to(connection.sessionCode).emit('sessionUpdate', {
-                  state: {
-                    players: updatedSession.players,
-                    votesRevealed: updatedSession.votesRevealed,
-                    hasConsensus: checkConsensus(updatedSession)
-                  }
-                });
-              });
-          });
+        emitEvents(socket, outcome.connection.sessionCode, outcome.result.events);
       })
       .catch(function(error) {
         console.error('❌ Error in castVote:', error);
@@ -328,82 +531,57 @@ io.on('connection', function(socket) {
       });
   });
   
-  // Reset votes handler
-  socket.on('resetVotes', function(data) {
-    console.log('🔄 Socket.IO: Reset votes event from', socket.id);
+  // Engine actions with no extra transport handling: the event name, the
+  // engine action and the fields it takes from the event data
+  onSessionAction(socket, 'revealVotes', game.revealVotes, []);
+  onSessionAction(socket, 'resetVotes', game.resetVotes, ['issueKey']);
+  onSessionAction(socket, 'updateSettings', game.updateSettings, ['settings']);
+  onSessionAction(socket, 'commitEstimate', game.commitEstimate, ['estimate', 'label']);
+  onSessionAction(socket, 'transferFacilitator', game.transferFacilitator, ['newFacilitator']);
+  
+  // Story backlog (facilitator only)
+  onSessionAction(socket, 'addStory', game.addStory, ['story']);
+  onSessionAction(socket, 'reorderStories', game.reorderStories, ['storyIds']);
+  onSessionAction(socket, 'nextStory', game.nextStory, []);
+  onSessionAction(socket, 'skipStory', game.skipStory, []);
+  
+  // Handle disconnection - keep the player's slot but mark them disconnected
+  socket.on('disconnect', function(reason) {
+    console.log('🔌 Socket.IO: Client disconnected:', socket.id, reason);
     
     getConnection(socket.id)
       .then(function(connection) {
-        if (!connection) {
-          console.log('❌ Connection not found:', socket.id);
-          socket.emit('error', {
-            message: 'Connection not found'
-          });
-          return;
-        }
+        if (!connection) return;
         
-        if (!connection.isSpectator) {
-          console.log('❌ Non-spectator tried to reset:', connection.playerName);
-          socket.emit('error', {
-            message: 'Only spectators can reset votes'
-          });
-          return;
-        }
-        
-        // Reset all votes in session
-        return getSession(connection.sessionCode)
-          .then(function(session) {
-            if (!session) {
-              console.log('❌ Session not found:', connection.sessionCode);
-              socket.emit('error', {
-                message: 'Session not found'
-              });
-              return;
-            }
-            
-            var resetPlayers = {};
-            for (var playerName in session.players) {
-              if (session.players.hasOwnProperty(playerName)) {
-                resetPlayers[playerName] = {
-                  hasVoted: false,
-                  vote: null,
-                  isSpectator: session.players[playerName].isSpectator,
-                  joinedAt: session.players[playerName].joinedAt
-                };
-              }
-            }
+        return removeConnection(socket.id)
+          .then(function() {
+            return getConnectionsBySession(connection.sessionCode);
+          })
+          .then(function(remaining) {
+            // The player may already be back on a newer socket (e.g. page reload)
+            var reconnected = remaining.some(function(conn) {
+              return conn.playerName === connection.playerName;
+            });
+            if (reconnected) return;
             
-            return updateSession(connection.sessionCode, {
-              players: resetPlayers,
-              votesRevealed: false
-            }).then(function() {
-              console.log('✅ Votes reset by spectator', connection.playerName, 'in session', connection.sessionCode);
-              
-              // Broadcast reset to all players
-              io.to(connection.sessionCode).emit('votesReset');
-              
-              io.to(connection.sessionCode).emit('sessionUpdate', {
-                state: {
-                  players: resetPlayers,
-                  votesRevealed: false,
-                  hasConsensus: false
+            return modifySession(connection.sessionCode, function(session) {
+              return game.leaveSession(session, { playerName: connection.playerName });
+            })
+              .then(function(result) {
+                if (result && !result.error) {
+                  emitEvents(socket, connection.sessionCode, result.events);
+                  
+                  if (result.session.facilitator === connection.playerName) {
+                    scheduleFacilitatorPromotion(connection.sessionCode);
+                  }
                 }
               });
-            });
           });
       })
       .catch(function(error) {
-        console.error('❌ Error in resetVotes:', error);
-        socket.emit('error', {
-          message: 'Failed to reset votes: ' + error.message
-        });
+        console.error('❌ Error handling disconnect:', error);
       });
   });
-  
-  // Handle disconnection
-  socket.on('disconnect', function(reason) {
-    console.log('🔌 Socket.IO: Client disconnected:', socket.id, reason);
-  });
 });
 
 // Start the local development server
@@ -414,7 +592,9 @@ server.listen(PORT, function() {
   console.log('📍 Server: http://localhost:' + PORT);
   console.log('🔗 Socket.IO: ws://localhost:' + PORT);
   console.log('🌐 CORS: http://localhost:8080');
-  console.log('💾 Storage: In-memory (local development)');
+  console.log('💾 Storage: ' + (process.env.STORAGE_ADAPTER === 'file'
+    ? 'JSON file (kept across restarts)'
+    : 'In-memory (set STORAGE_ADAPTER=file to keep sessions across restarts)'));
   console.log('');
   console.log('✅ Ready for connections!');
   console.log('');
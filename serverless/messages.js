@@ -0,0 +1,165 @@
+// serverless/messages.js
+// Schemas for inbound WebSocket and Socket.IO messages (ES5 syntax, no const/let)
+// Directory: serverless/messages.js
+//
+// Every action a client may send is declared in SCHEMAS with the fields it
+// takes. The servers check each message here before dispatching it, so the
+// handlers and the game engine only ever see known fields of the right type.
+// The engine still applies the game rules (deck cards, name lengths, ...).
+//
+// A field rule is { type, required, maxLength, items }: type is one type or a
+// list of them ('string', 'number', 'boolean', 'object', 'array'), maxLength
+// limits strings and arrays, and items is the type of every array element.
+
+var MAX_MESSAGE_BYTES = 16 * 1024;
+
+// Accepted on every action, since clients send it along; the servers act on
+// the session the connection joined, not on this code
+var COMMON_FIELDS = {
+  sessionCode: { type: 'string', maxLength: 32 }
+};
+
+var SCHEMAS = {
+  joinSession: {
+    playerName: { type: 'string', required: true, maxLength: 100 },
+    isSpectator: { type: 'boolean' },
+    password: { type: 'string', maxLength: 256 },
+    passcode: { type: 'string', maxLength: 256 },
+    playerToken: { type: 'string', maxLength: 256 }
+  },
+  castVote: {
+    vote: { type: ['string', 'number'], required: true, maxLength: 10 }
+  },
+  revealVotes: {},
+  resetVotes: {
+    issueKey: { type: 'string', maxLength: 50 }
+  },
+  updateSettings: {
+    settings: { type: 'object', required: true }
+  },
+  commitEstimate: {
+    estimate: { type: ['string', 'number'], maxLength: 10 },
+    label: { type: 'string', maxLength: 200 }
+  },
+  addStory: {
+    story: { type: 'object', required: true }
+  },
+  reorderStories: {
+    storyIds: { type: 'array', required: true, maxLength: 100, items: 'string' }
+  },
+  nextStory: {},
+  skipStory: {},
+  transferFacilitator: {
+    newFacilitator: { type: 'string', required: true, maxLength: 100 }
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !isFinite(value)) return 'non-finite number';
+  return value === null ? 'null' : typeof value;
+}
+
+function invalid(code, message, field) {
+  var error = { code: code, message: message };
+  if (field) error.field = field;
+  return { error: error };
+}
+
+// Check one field against its rule: null when it passes, else { error }
+function checkField(field, value, rule) {
+  var types = [].concat(rule.type);
+
+  if (value === undefined || value === null) {
+    return rule.required ? invalid('INVALID_MESSAGE', field + ' is required', field) : null;
+  }
+
+  if (types.indexOf(typeOf(value)) === -1) {
+    return invalid('INVALID_MESSAGE', field + ' must be ' + types.join(' or ') + ', not ' + typeOf(value), field);
+  }
+
+  if (rule.maxLength && (typeof value === 'string' || Array.isArray(value)) && value.length > rule.maxLength) {
+    var unit = Array.isArray(value) ? ' items' : ' characters';
+    return invalid('INVALID_MESSAGE', field + ' must be ' + rule.maxLength + unit + ' or less', field);
+  }
+
+  if (rule.items) {
+    for (var i = 0; i < value.length; i++) {
+      if (typeOf(value[i]) !== rule.items) {
+        return invalid('INVALID_MESSAGE', field + '[' + i + '] must be ' + rule.items, field + '[' + i + ']');
+      }
+    }
+  }
+
+  return null;
+}
+
+// Check the data sent with an action. Returns { data } holding only the
+// declared fields (missing data counts as {}), or { error } with the code,
+// a message and the failing field.
+function validateMessage(action, data) {
+  if (typeof action !== 'string' || !SCHEMAS.hasOwnProperty(action)) {
+    return invalid('UNKNOWN_ACTION', 'Unknown action: ' + action, 'action');
+  }
+
+  if (data === undefined || data === null) {
+    data = {};
+  }
+  if (typeOf(data) !== 'object') {
+    return invalid('INVALID_MESSAGE', 'Message data must be an object', 'data');
+  }
+
+  var size = Buffer.byteLength(JSON.stringify(data));
+  if (size > MAX_MESSAGE_BYTES) {
+    return invalid('MESSAGE_TOO_LARGE', 'Messages are limited to ' + MAX_MESSAGE_BYTES / 1024 + ' KB');
+  }
+
+  var schema = SCHEMAS[action];
+  var checked = {};
+  var rules = [COMMON_FIELDS, schema];
+
+  for (var r = 0; r < rules.length; r++) {
+    for (var field in rules[r]) {
+      if (!rules[r].hasOwnProperty(field)) continue;
+
+      var failed = checkField(field, data[field], rules[r][field]);
+      if (failed) return failed;
+
+      if (data[field] !== undefined && data[field] !== null) {
+        checked[field] = data[field];
+      }
+    }
+  }
+
+  return { data: checked };
+}
+
+// Parse a raw WebSocket frame ({ action, data } as JSON): { message } or { error }
+function parseMessage(body) {
+  if (typeof body !== 'string' || body === '') {
+    return invalid('INVALID_MESSAGE', 'Message body is required');
+  }
+
+  if (Buffer.byteLength(body) > MAX_MESSAGE_BYTES) {
+    return invalid('MESSAGE_TOO_LARGE', 'Messages are limited to ' + MAX_MESSAGE_BYTES / 1024 + ' KB');
+  }
+
+  var message;
+  try {
+    message = JSON.parse(body);
+  } catch (error) {
+    return invalid('INVALID_MESSAGE', 'Message is not valid JSON');
+  }
+
+  if (typeOf(message) !== 'object') {
+    return invalid('INVALID_MESSAGE', 'Message must be an object with an action');
+  }
+  return { message: message };
+}
+
+module.exports = {
+  MAX_MESSAGE_BYTES: MAX_MESSAGE_BYTES,
+  SCHEMAS: SCHEMAS,
+  validateMessage: validateMessage,
+  parseMessage: parseMessage
+};
@@ -0,0 +1,53 @@
+// serverless/passcode.js
+// Session passcodes, stored as salted scrypt hashes (ES5 syntax, no const/let)
+// Directory: serverless/passcode.js
+//
+// A session created with a passcode only lets players in who send it with
+// joinSession. The plain passcode is never stored: the session record keeps
+// 'scrypt$<salt>$<hash>' (hex), see game.createSession.
+
+var crypto = require('crypto');
+
+var MIN_PASSCODE_LENGTH = 4;
+var MAX_PASSCODE_LENGTH = 64;
+var SALT_BYTES = 16;
+var KEY_LENGTH = 32;
+
+// Check a passcode sent by a client: { passcode } or { error }
+function validatePasscode(input) {
+  if (typeof input !== 'string' ||
+      input.length < MIN_PASSCODE_LENGTH ||
+      input.length > MAX_PASSCODE_LENGTH) {
+    return {
+      error: {
+        code: 'INVALID_PASSCODE',
+        message: 'Passcode must be ' + MIN_PASSCODE_LENGTH + ' to ' + MAX_PASSCODE_LENGTH + ' characters'
+      }
+    };
+  }
+  return { passcode: input };
+}
+
+function hashPasscode(passcode) {
+  var salt = crypto.randomBytes(SALT_BYTES);
+  var hash = crypto.scryptSync(passcode, salt, KEY_LENGTH);
+  return ['scrypt', salt.toString('hex'), hash.toString('hex')].join('$');
+}
+
+// Whether passcode matches a stored hash, compared in constant time
+function verifyPasscode(passcode, stored) {
+  var parts = typeof stored === 'string' ? stored.split('$') : [];
+  if (parts.length !== 3 || parts[0] !== 'scrypt' || typeof passcode !== 'string') {
+    return false;
+  }
+
+  var expected = Buffer.from(parts[2], 'hex');
+  var actual = crypto.scryptSync(passcode, Buffer.from(parts[1], 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  validatePasscode: validatePasscode,
+  hashPasscode: hashPasscode,
+  verifyPasscode: verifyPasscode
+};
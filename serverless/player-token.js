@@ -0,0 +1,56 @@
+// serverless/player-token.js
+// Signed player tokens for reclaiming a name on reconnect (ES5 syntax, no const/let)
+// Directory: serverless/player-token.js
+//
+// The first join under a name returns a token: an HMAC-SHA256 of the session
+// and the name, keyed with PLAYER_TOKEN_SECRET. Joining again under a name
+// that is already taken (a reconnect) needs that token, so nobody can take
+// over a teammate's slot just by typing their name.
+
+var crypto = require('crypto');
+
+var fallbackSecret = null;
+
+// Every server instance must share the secret, or tokens issued by one are
+// rejected by the next (e.g. another Lambda container). Only offline runs
+// and tests may go without it.
+var isOffline = process.env.IS_OFFLINE || process.env.NODE_ENV === 'development' ||
+  process.env.NODE_ENV === 'test';
+
+if (!process.env.PLAYER_TOKEN_SECRET && !isOffline) {
+  throw new Error('PLAYER_TOKEN_SECRET must be set outside offline and test runs');
+}
+
+function getSecret() {
+  if (process.env.PLAYER_TOKEN_SECRET) return process.env.PLAYER_TOKEN_SECRET;
+
+  if (!fallbackSecret) {
+    console.warn('⚠️ PLAYER_TOKEN_SECRET is not set; player tokens only last until this process restarts');
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return fallbackSecret;
+}
+
+// createdAt ties the token to this session, not a later one reusing the code
+function issueToken(session, playerName) {
+  return crypto.createHmac('sha256', getSecret())
+    .update([session.sessionCode, session.createdAt || '', playerName].join('\n'))
+    .digest('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+// Whether token was issued for playerName in this session (constant time)
+function verifyToken(session, playerName, token) {
+  if (typeof token !== 'string' || token === '') return false;
+
+  var expected = Buffer.from(issueToken(session, playerName));
+  var actual = Buffer.from(token);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  issueToken: issueToken,
+  verifyToken: verifyToken
+};
@@ -0,0 +1,198 @@
+// serverless/rate-limit.js
+// Brute-force protection for team passwords, passcodes and session codes (ES5 syntax, no const/let)
+// Directory: serverless/rate-limit.js
+//
+// Failed guesses are counted per key - 'ip:<address>' and 'conn:<socket or
+// connection id>' - through the storage layer (db.js), so every server
+// instance and Lambda container sees the same counts. MAX_FAILURES failures
+// within WINDOW_SECONDS lock a key out for BASE_LOCKOUT_SECONDS; every
+// further lockout in a row doubles that, up to MAX_LOCKOUT_SECONDS.
+//
+// Locked-out callers get a RATE_LIMITED error: { code, message, retryAfter }
+// on sockets, and the same fields with status 429 and Retry-After over HTTP.
+
+var db = require('./db');
+
+var MAX_FAILURES = 5;
+var WINDOW_SECONDS = 15 * 60;
+var BASE_LOCKOUT_SECONDS = 30;
+var MAX_LOCKOUT_SECONDS = 60 * 60;
+
+// Join errors that mean someone guessed wrong, a session code included
+var GUESS_ERRORS = ['INVALID_PASSWORD', 'SESSION_NOT_FOUND', 'PASSCODE_REQUIRED', 'INVALID_PASSCODE', 'NAME_TAKEN'];
+
+function isGuessError(error) {
+  return Boolean(error) && GUESS_ERRORS.indexOf(error.code) !== -1;
+}
+
+// Counter keys for a caller; either part may be missing
+function attemptKeys(ip, connectionId) {
+  var keys = [];
+  if (ip) keys.push('ip:' + ip);
+  if (connectionId) keys.push('conn:' + connectionId);
+  return keys;
+}
+
+// Caller address of an API Gateway event (REST and WebSocket alike)
+function sourceIp(event) {
+  var identity = event && event.requestContext && event.requestContext.identity;
+  return identity ? identity.sourceIp : undefined;
+}
+
+function lockoutSeconds(lockouts) {
+  return Math.min(BASE_LOCKOUT_SECONDS * Math.pow(2, lockouts - 1), MAX_LOCKOUT_SECONDS);
+}
+
+function rateLimitedError(retryAfter) {
+  return {
+    code: 'RATE_LIMITED',
+    message: 'Too many failed attempts. Try again in ' + retryAfter + ' seconds.',
+    retryAfter: retryAfter
+  };
+}
+
+// store: getAttempts / addFailedAttempt / putAttempts (see storage/index.js)
+// options.now: clock in milliseconds (tests)
+function createRateLimiter(store, options) {
+  options = options || {};
+  var now = options.now || Date.now;
+
+  // Resolves a RATE_LIMITED error while any of keys is locked out, else null
+  function check(keys) {
+    var time = now();
+
+    return Promise.all(keys.map(function(key) {
+      return store.getAttempts(key);
+    })).then(function(records) {
+      var retryAfter = records.reduce(function(longest, attempts) {
+        var left = attempts && attempts.lockedUntil > time ? Math.ceil((attempts.lockedUntil - time) / 1000) : 0;
+        return Math.max(longest, left);
+      }, 0);
+
+      return retryAfter ? rateLimitedError(retryAfter) : null;
+    });
+  }
+
+  // Count a failed guess against every key. Resolves a RATE_LIMITED error
+  // when this failure locks one of them out, else null.
+  function recordFailure(keys) {
+    var time = now();
+    var nowInSeconds = Math.floor(time / 1000);
+
+    return Promise.all(keys.map(function(key) {
+      return store.addFailedAttempt(key, nowInSeconds + WINDOW_SECONDS).then(function(attempts) {
+        if (attempts.failures < MAX_FAILURES) return 0;
+
+        var lockouts = (attempts.lockouts || 0) + 1;
+        var seconds = lockoutSeconds(lockouts);
+        console.log('🚫 Locking out ' + key + ' for ' + seconds + ' seconds (lockout ' + lockouts + ')');
+
+        // The record outlives the lockout by a window, so a caller who starts
+        // guessing again straight away gets the next, longer lockout
+        return store.putAttempts({
+          key: key,
+          failures: 0,
+          lockouts: lockouts,
+          lockedUntil: time + seconds * 1000,
+          expiresAt: nowInSeconds + seconds + WINDOW_SECONDS
+        }).then(function() {
+          return seconds;
+        });
+      });
+    })).then(function(lockedFor) {
+      var retryAfter = Math.max.apply(null, [0].concat(lockedFor));
+      return retryAfter ? rateLimitedError(retryAfter) : null;
+    });
+  }
+
+  return {
+    check: check,
+    recordFailure: recordFailure
+  };
+}
+
+var limiter = createRateLimiter(db);
+
+// JSON body for a 429 response, matching the other HTTP errors
+function errorBody(limited) {
+  return {
+    error: 'Too many attempts',
+    message: limited.message,
+    code: limited.code,
+    retryAfter: limited.retryAfter
+  };
+}
+
+function lambdaResponse(limited) {
+  return {
+    statusCode: 429,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Content-Type': 'application/json',
+      'Retry-After': String(limited.retryAfter)
+    },
+    body: JSON.stringify(errorBody(limited))
+  };
+}
+
+function sendRateLimited(res, limited) {
+  res.set('Retry-After', String(limited.retryAfter));
+  return res.status(429).json(errorBody(limited));
+}
+
+// A guessed session code (404) or a wrong session passcode (403)
+function isFailedLookup(statusCode) {
+  return statusCode === 404 || statusCode === 403;
+}
+
+// Wrap a Lambda handler that looks a session up by code: a failed lookup
+// counts as a guess, and callers who guess too many are turned away before it runs
+function guardLookup(handler) {
+  return function(event) {
+    var keys = attemptKeys(sourceIp(event));
+
+    return limiter.check(keys).then(function(limited) {
+      if (limited) return lambdaResponse(limited);
+
+      return handler(event).then(function(response) {
+        if (!response || !isFailedLookup(response.statusCode)) return response;
+
+        return limiter.recordFailure(keys).then(function(locked) {
+          return locked ? lambdaResponse(locked) : response;
+        });
+      });
+    });
+  };
+}
+
+// Express middleware doing the same for every /api/sessions/:sessionCode route
+function guardLookups(req, res, next) {
+  var keys = attemptKeys(req.ip);
+
+  limiter.check(keys).then(function(limited) {
+    if (limited) return sendRateLimited(res, limited);
+
+    res.on('finish', function() {
+      if (isFailedLookup(res.statusCode)) {
+        limiter.recordFailure(keys).catch(function(error) {
+          console.error('❌ Error recording failed lookup:', error);
+        });
+      }
+    });
+    next();
+  }).catch(next);
+}
+
+module.exports = {
+  MAX_FAILURES: MAX_FAILURES,
+  createRateLimiter: createRateLimiter,
+  check: limiter.check,
+  recordFailure: limiter.recordFailure,
+  isGuessError: isGuessError,
+  attemptKeys: attemptKeys,
+  sourceIp: sourceIp,
+  lambdaResponse: lambdaResponse,
+  sendRateLimited: sendRateLimited,
+  guardLookup: guardLookup,
+  guardLookups: guardLookups
+};
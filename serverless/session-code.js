@@ -0,0 +1,63 @@
+// serverless/session-code.js
+// Session code generator shared by every server (ES5 syntax, no const/let)
+// Directory: serverless/session-code.js
+//
+// Codes come from crypto randomness over an alphabet without look-alike
+// characters (no 0/O or 1/I), so they can be read out and typed without
+// mistakes and can't be predicted. SESSION_CODE_LENGTH sets the length.
+
+var crypto = require('crypto');
+var db = require('./db');
+
+// 32 characters, so every random byte maps onto it without bias (256 / 32)
+var ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+var DEFAULT_LENGTH = 8;
+var MIN_LENGTH = 6;
+var MAX_LENGTH = 16;
+var MAX_TRIES = 5;
+
+// SESSION_CODE_LENGTH when it is a whole number in range, else the default
+function codeLength() {
+  var length = parseInt(process.env.SESSION_CODE_LENGTH, 10);
+  return length >= MIN_LENGTH && length <= MAX_LENGTH ? length : DEFAULT_LENGTH;
+}
+
+function generateSessionCode(length) {
+  length = length || codeLength();
+
+  var bytes = crypto.randomBytes(length);
+  var code = '';
+  for (var i = 0; i < length; i++) {
+    code += ALPHABET.charAt(bytes[i] % ALPHABET.length);
+  }
+  return code;
+}
+
+// Resolve a code no existing session uses. findSession(code) returns the
+// session or a Promise of it; it defaults to db.getSession, servers keeping
+// sessions elsewhere pass their own lookup.
+function createSessionCode(findSession, length) {
+  findSession = findSession || db.getSession;
+
+  function attempt(triesLeft) {
+    var code = generateSessionCode(length);
+
+    return Promise.resolve(findSession(code)).then(function(existing) {
+      if (!existing) return code;
+
+      console.log('⚠️ Session code collision:', code);
+      if (triesLeft <= 1) {
+        throw new Error('Could not find a free session code after ' + MAX_TRIES + ' tries');
+      }
+      return attempt(triesLeft - 1);
+    });
+  }
+
+  return attempt(MAX_TRIES);
+}
+
+module.exports = {
+  ALPHABET: ALPHABET,
+  generateSessionCode: generateSessionCode,
+  createSessionCode: createSessionCode
+};
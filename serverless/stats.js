@@ -0,0 +1,112 @@
+// serverless/stats.js
+// Round statistics shown when votes are revealed (ES5 syntax, no const/let)
+// Directory: serverless/stats.js
+
+function roundTo(value, places) {
+  var factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+function allNumbers(values) {
+  for (var i = 0; i < values.length; i++) {
+    if (typeof values[i] !== 'number') return false;
+  }
+  return true;
+}
+
+function average(values) {
+  var sum = 0;
+  for (var i = 0; i < values.length; i++) {
+    sum += values[i];
+  }
+  return sum / values.length;
+}
+
+function median(values) {
+  var sorted = values.slice().sort(function(a, b) { return a - b; });
+  var middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// Population standard deviation: every voter in the round is counted
+function standardDeviation(values) {
+  var mean = average(values);
+  var squares = 0;
+  for (var i = 0; i < values.length; i++) {
+    squares += Math.pow(values[i] - mean, 2);
+  }
+  return Math.sqrt(squares / values.length);
+}
+
+// Most played card(s), in deck order
+function mode(votes, cards) {
+  var counts = {};
+  var highest = 0;
+  votes.forEach(function(vote) {
+    counts[String(vote)] = (counts[String(vote)] || 0) + 1;
+    highest = Math.max(highest, counts[String(vote)]);
+  });
+
+  return cards.filter(function(card) {
+    return counts[String(card)] === highest;
+  });
+}
+
+// Deck card closest to a value; ties go to the larger card
+function nearestCard(value, cards, positionOf) {
+  var nearest = null;
+  var distance = Infinity;
+  cards.forEach(function(card) {
+    var cardDistance = Math.abs(positionOf(card) - value);
+    if (cardDistance <= distance) {
+      nearest = card;
+      distance = cardDistance;
+    }
+  });
+  return nearest;
+}
+
+// Statistics for a revealed round. estimates are { playerName, vote } entries
+// (special cards already left out) and cards the deck in order. Numeric decks
+// get average, median and standard deviation; label decks such as T-shirt
+// sizes are compared by their position in the deck instead, so those three
+// are null. Returns null when nobody gave an estimate.
+function roundStats(estimates, cards) {
+  if (estimates.length === 0) return null;
+
+  var isNumeric = allNumbers(cards);
+  var positionOf = isNumeric
+    ? function(card) { return card; }
+    : function(card) { return cards.indexOf(card); };
+
+  var votes = estimates.map(function(estimate) { return estimate.vote; });
+  var positions = votes.map(positionOf);
+  var low = Math.min.apply(null, positions);
+  var high = Math.max.apply(null, positions);
+
+  // Everyone agreeing means there is nobody to ask to explain
+  var outliers = { high: [], low: [] };
+  if (high !== low) {
+    estimates.forEach(function(estimate) {
+      var position = positionOf(estimate.vote);
+      if (position === high) outliers.high.push(estimate.playerName);
+      if (position === low) outliers.low.push(estimate.playerName);
+    });
+  }
+
+  return {
+    count: votes.length,
+    average: isNumeric ? roundTo(average(positions), 2) : null,
+    median: isNumeric ? median(positions) : null,
+    mode: mode(votes, cards),
+    min: votes[positions.indexOf(low)],
+    max: votes[positions.indexOf(high)],
+    standardDeviation: isNumeric ? roundTo(standardDeviation(positions), 2) : null,
+    nearestCard: nearestCard(average(positions), cards, positionOf),
+    outliers: outliers
+  };
+}
+
+module.exports = {
+  roundStats: roundStats
+};
@@ -0,0 +1,272 @@
+// serverless/storage/dynamodb.js
+// DynamoDB storage adapter used in production
+// Directory: serverless/storage/dynamodb.js
+
+var errors = require('./errors');
+
+function isConditionFailure(error) {
+  return Boolean(error) && error.code === 'ConditionalCheckFailedException';
+}
+
+// options.client: a DocumentClient (defaults to one for AWS_REGION)
+// options.sessionsTable / options.connectionsTable / options.attemptsTable: table names
+function createDynamoStore(options) {
+  options = options || {};
+
+  var dynamodb = options.client;
+  if (!dynamodb) {
+    var AWS = require('aws-sdk');
+    dynamodb = new AWS.DynamoDB.DocumentClient({
+      region: process.env.AWS_REGION || 'us-east-1'
+    });
+  }
+
+  var SESSIONS_TABLE = options.sessionsTable || process.env.SESSIONS_TABLE || 'planning-poker-sessions-dev';
+  var CONNECTIONS_TABLE = options.connectionsTable || process.env.CONNECTIONS_TABLE || 'planning-poker-connections-dev';
+  var ATTEMPTS_TABLE = options.attemptsTable || process.env.ATTEMPTS_TABLE || 'planning-poker-attempts-dev';
+
+  function nowInSeconds() {
+    return Math.floor(Date.now() / 1000);
+  }
+
+  return {
+    name: 'dynamodb',
+
+    getSession: function(sessionCode) {
+      var params = {
+        TableName: SESSIONS_TABLE,
+        Key: { sessionCode: sessionCode }
+      };
+
+      return dynamodb.get(params).promise().then(function(result) {
+        return result.Item;
+      });
+    },
+
+    putSession: function(session) {
+      var params = {
+        TableName: SESSIONS_TABLE,
+        Item: session
+      };
+
+      return dynamodb.put(params).promise().then(function() {
+        return session;
+      });
+    },
+
+    insertSession: function(session) {
+      var params = {
+        TableName: SESSIONS_TABLE,
+        Item: session,
+        ConditionExpression: 'attribute_not_exists(sessionCode)'
+      };
+
+      return dynamodb.put(params).promise().then(function() {
+        return session;
+      }, function(error) {
+        throw isConditionFailure(error) ? errors.versionConflict(session.sessionCode) : error;
+      });
+    },
+
+    updateSession: function(sessionCode, updates, expectedVersion) {
+      var isConditional = typeof expectedVersion === 'number';
+      var updateExpressions = [];
+      var expressionAttributeNames = { '#version': 'version' };
+      var expressionAttributeValues = { ':one': 1 };
+
+      for (var key in updates) {
+        if (updates.hasOwnProperty(key) && key !== 'version') {
+          updateExpressions.push('#' + key + ' = :' + key);
+          expressionAttributeNames['#' + key] = key;
+          expressionAttributeValues[':' + key] = updates[key];
+        }
+      }
+
+      var params = {
+        TableName: SESSIONS_TABLE,
+        Key: { sessionCode: sessionCode },
+        ExpressionAttributeNames: expressionAttributeNames,
+        ExpressionAttributeValues: expressionAttributeValues,
+        ReturnValues: 'ALL_NEW'
+      };
+
+      if (isConditional) {
+        updateExpressions.push('#version = :expectedVersion + :one');
+        expressionAttributeValues[':expectedVersion'] = expectedVersion;
+        // Sessions written before versioning existed have no version (treated as 0)
+        params.ConditionExpression = expectedVersion === 0
+          ? 'attribute_exists(sessionCode) AND (attribute_not_exists(#version) OR #version = :expectedVersion)'
+          : 'attribute_exists(sessionCode) AND #version = :expectedVersion';
+      } else {
+        updateExpressions.push('#version = if_not_exists(#version, :zero) + :one');
+        expressionAttributeValues[':zero'] = 0;
+      }
+      params.UpdateExpression = 'SET ' + updateExpressions.join(', ');
+
+      return dynamodb.update(params).promise().then(function(result) {
+        return result.Attributes;
+      }, function(error) {
+        throw isConditionFailure(error) ? errors.versionConflict(sessionCode) : error;
+      });
+    },
+
+    // Nested update of players.<playerName> so the rest of the map is untouched
+    writePlayer: function(sessionCode, playerName, fields, mode) {
+      var setExpressions = ['#version = if_not_exists(#version, :zero) + :one'];
+      var expressionAttributeNames = {
+        '#players': 'players',
+        '#player': playerName,
+        '#version': 'version'
+      };
+      var expressionAttributeValues = { ':zero': 0, ':one': 1 };
+      var conditions;
+
+      if (mode === 'add') {
+        setExpressions.push('#players.#player = :player');
+        expressionAttributeValues[':player'] = fields;
+        conditions = 'attribute_exists(sessionCode) AND attribute_not_exists(#players.#player)';
+      } else {
+        var index = 0;
+        for (var key in fields) {
+          if (fields.hasOwnProperty(key)) {
+            setExpressions.push('#players.#player.#field' + index + ' = :field' + index);
+            expressionAttributeNames['#field' + index] = key;
+            expressionAttributeValues[':field' + index] = fields[key];
+            index++;
+          }
+        }
+        conditions = 'attribute_exists(#players.#player)';
+        if (mode === 'vote') {
+          conditions += ' AND #votesRevealed = :false';
+          expressionAttributeNames['#votesRevealed'] = 'votesRevealed';
+          expressionAttributeValues[':false'] = false;
+        }
+      }
+
+      var params = {
+        TableName: SESSIONS_TABLE,
+        Key: { sessionCode: sessionCode },
+        UpdateExpression: 'SET ' + setExpressions.join(', '),
+        ConditionExpression: conditions,
+        ExpressionAttributeNames: expressionAttributeNames,
+        ExpressionAttributeValues: expressionAttributeValues,
+        ReturnValues: 'ALL_NEW'
+      };
+
+      return dynamodb.update(params).promise().then(function(result) {
+        return result.Attributes;
+      }, function(error) {
+        if (isConditionFailure(error)) {
+          var code = mode === 'add' ? 'PLAYER_EXISTS' : 'CONDITION_FAILED';
+          throw errors.playerWriteError(code, sessionCode, playerName);
+        }
+        throw error;
+      });
+    },
+
+    putConnection: function(connection) {
+      var params = {
+        TableName: CONNECTIONS_TABLE,
+        Item: connection
+      };
+
+      return dynamodb.put(params).promise().then(function() {});
+    },
+
+    getConnection: function(connectionId) {
+      var params = {
+        TableName: CONNECTIONS_TABLE,
+        Key: { connectionId: connectionId }
+      };
+
+      return dynamodb.get(params).promise().then(function(result) {
+        return result.Item;
+      });
+    },
+
+    deleteConnection: function(connectionId) {
+      var params = {
+        TableName: CONNECTIONS_TABLE,
+        Key: { connectionId: connectionId }
+      };
+
+      return dynamodb.delete(params).promise().then(function() {});
+    },
+
+    getConnectionsBySession: function(sessionCode) {
+      var params = {
+        TableName: CONNECTIONS_TABLE,
+        IndexName: 'SessionIndex',
+        KeyConditionExpression: 'sessionCode = :sessionCode',
+        ExpressionAttributeValues: {
+          ':sessionCode': sessionCode
+        }
+      };
+
+      return dynamodb.query(params).promise().then(function(result) {
+        return result.Items;
+      });
+    },
+
+    // TTL deletes expired items lazily (up to days later), so check expiresAt here
+    getAttempts: function(key) {
+      var params = {
+        TableName: ATTEMPTS_TABLE,
+        Key: { key: key }
+      };
+
+      return dynamodb.get(params).promise().then(function(result) {
+        var attempts = result.Item;
+        return attempts && attempts.expiresAt > nowInSeconds() ? attempts : undefined;
+      });
+    },
+
+    // ADD keeps concurrent failures from different containers from losing counts
+    addFailedAttempt: function(key, expiresAt) {
+      var params = {
+        TableName: ATTEMPTS_TABLE,
+        Key: { key: key },
+        UpdateExpression: 'ADD #failures :one SET #expiresAt = :expiresAt',
+        ConditionExpression: 'attribute_not_exists(#key) OR #expiresAt > :now',
+        ExpressionAttributeNames: {
+          '#key': 'key',
+          '#failures': 'failures',
+          '#expiresAt': 'expiresAt'
+        },
+        ExpressionAttributeValues: {
+          ':one': 1,
+          ':expiresAt': expiresAt,
+          ':now': nowInSeconds()
+        },
+        ReturnValues: 'ALL_NEW'
+      };
+
+      return dynamodb.update(params).promise().then(function(result) {
+        return result.Attributes;
+      }, function(error) {
+        if (!isConditionFailure(error)) throw error;
+
+        // The old record has expired but TTL has not removed it yet
+        var attempts = { key: key, failures: 1, expiresAt: expiresAt };
+        return dynamodb.put({ TableName: ATTEMPTS_TABLE, Item: attempts }).promise().then(function() {
+          return attempts;
+        });
+      });
+    },
+
+    putAttempts: function(attempts) {
+      var params = {
+        TableName: ATTEMPTS_TABLE,
+        Item: attempts
+      };
+
+      return dynamodb.put(params).promise().then(function() {
+        return attempts;
+      });
+    }
+  };
+}
+
+module.exports = {
+  createDynamoStore: createDynamoStore
+};
@@ -0,0 +1,23 @@
+// serverless/storage/errors.js
+// Errors shared by every storage adapter (ES5 syntax, no const/let)
+// Directory: serverless/storage/errors.js
+
+// A conditional write lost a race with another writer (or the session code
+// is already taken when inserting)
+function versionConflict(sessionCode) {
+  var error = new Error('Session ' + sessionCode + ' was modified concurrently');
+  error.code = 'VERSION_CONFLICT';
+  return error;
+}
+
+// A targeted player write was refused: PLAYER_EXISTS or CONDITION_FAILED
+function playerWriteError(code, sessionCode, playerName) {
+  var error = new Error('Cannot update player ' + playerName + ' in session ' + sessionCode);
+  error.code = code;
+  return error;
+}
+
+module.exports = {
+  versionConflict: versionConflict,
+  playerWriteError: playerWriteError
+};
@@ -0,0 +1,63 @@
+// serverless/storage/file.js
+// JSON file storage adapter so local-server.js keeps sessions across restarts
+// Directory: serverless/storage/file.js
+
+var fs = require('fs');
+var path = require('path');
+var createMemoryStore = require('./memory').createMemoryStore;
+
+// Read saved sessions, dropping the ones whose TTL has passed. Connections are
+// not saved: sockets do not survive a restart, so everyone starts disconnected
+// until they rejoin. Failed-attempt counters (rate-limit.js) stay in memory
+// too; a restart forgets them, which only matters for a lockout in progress.
+function loadSessions(filePath) {
+  var sessions = new Map();
+  if (!fs.existsSync(filePath)) return sessions;
+
+  var saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  var now = Math.floor(Date.now() / 1000);
+
+  (saved.sessions || []).forEach(function(session) {
+    if (session.expiresAt && session.expiresAt < now) return;
+
+    for (var name in session.players) {
+      if (session.players.hasOwnProperty(name)) {
+        session.players[name].connected = false;
+      }
+    }
+    sessions.set(session.sessionCode, session);
+  });
+
+  return sessions;
+}
+
+// options.filePath: where to keep the JSON (defaults to STORAGE_FILE or
+// .local-data/planning-poker.json in the project root)
+function createFileStore(options) {
+  options = options || {};
+
+  var filePath = options.filePath || process.env.STORAGE_FILE ||
+    path.join(__dirname, '..', '..', '.local-data', 'planning-poker.json');
+  var sessions = loadSessions(filePath);
+
+  // Write to a temp file first so a crash mid-write never corrupts the data
+  function save() {
+    var data = { sessions: Array.from(sessions.values()) };
+    var tempPath = filePath + '.tmp';
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  var store = createMemoryStore({ sessions: sessions, onChange: save });
+  store.name = 'file';
+  store.filePath = filePath;
+
+  console.log('📁 File storage:', filePath, '(' + sessions.size + ' sessions loaded)');
+  return store;
+}
+
+module.exports = {
+  createFileStore: createFileStore
+};
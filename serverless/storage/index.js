@@ -0,0 +1,56 @@
+// serverless/storage/index.js
+// Storage adapter selection for db.js (ES5 syntax, no const/let)
+// Directory: serverless/storage/index.js
+//
+// db.js keeps all session logic and talks to storage only through this
+// interface, so new backends can be added without touching it. Every method
+// returns a Promise:
+//   getSession(sessionCode)                              -> session | undefined
+//   putSession(session)                                  -> session (overwrites)
+//   insertSession(session)                               -> session, VERSION_CONFLICT if the code is taken
+//   updateSession(sessionCode, updates, expectedVersion) -> session | null; bumps version,
+//                                                           VERSION_CONFLICT if expectedVersion is stale
+//   writePlayer(sessionCode, playerName, fields, mode)   -> session; mode 'add' | 'update' | 'vote',
+//                                                           PLAYER_EXISTS / CONDITION_FAILED when refused
+//   putConnection(connection)
+//   getConnection(connectionId)                          -> connection | undefined
+//   deleteConnection(connectionId)
+//   getConnectionsBySession(sessionCode)                 -> [connection]
+//   getAttempts(key)                                     -> attempts | undefined, once expiresAt has passed
+//   addFailedAttempt(key, expiresAt)                     -> attempts; failures + 1 (atomically), starting
+//                                                           again from 1 once the old record has expired
+//   putAttempts(attempts)                                -> attempts (overwrites)
+// Attempt records ({ key, failures, lockouts, lockedUntil, expiresAt }) are
+// the brute-force counters kept by rate-limit.js.
+// Adapters may also provide debugState() for local troubleshooting.
+
+var adapters = {
+  memory: function(options) {
+    return require('./memory').createMemoryStore(options);
+  },
+  file: function(options) {
+    return require('./file').createFileStore(options);
+  },
+  dynamodb: function(options) {
+    return require('./dynamodb').createDynamoStore(options);
+  }
+};
+
+// Pick the adapter from options.adapter, then STORAGE_ADAPTER, falling back to
+// memory when running offline and DynamoDB otherwise
+function createStore(options) {
+  options = options || {};
+
+  var isOffline = process.env.IS_OFFLINE || process.env.NODE_ENV === 'development';
+  var name = options.adapter || process.env.STORAGE_ADAPTER || (isOffline ? 'memory' : 'dynamodb');
+
+  if (!adapters[name]) {
+    throw new Error('Unknown storage adapter: ' + name + ' (expected one of ' + Object.keys(adapters).join(', ') + ')');
+  }
+
+  return adapters[name](options);
+}
+
+module.exports = {
+  createStore: createStore
+};
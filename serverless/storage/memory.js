@@ -0,0 +1,173 @@
+// serverless/storage/memory.js
+// In-memory storage adapter (simulates DynamoDB for local dev and tests)
+// Directory: serverless/storage/memory.js
+
+var errors = require('./errors');
+
+function copyObject(source) {
+  var copy = {};
+  for (var key in source) {
+    if (source.hasOwnProperty(key)) {
+      copy[key] = source[key];
+    }
+  }
+  return copy;
+}
+
+// Failed-attempt counters past their expiresAt (epoch seconds) are gone, as
+// if DynamoDB's TTL had already deleted them
+function isLive(attempts) {
+  return Boolean(attempts) && attempts.expiresAt > Math.floor(Date.now() / 1000);
+}
+
+// options.sessions / options.connections: Maps to start from (optional)
+// options.onChange: called after every session or connection write (the file
+// adapter persists here)
+function createMemoryStore(options) {
+  options = options || {};
+
+  var sessions = options.sessions || new Map();
+  var connections = options.connections || new Map();
+  var attempts = new Map();
+  var onChange = options.onChange || function() {};
+
+  function saved(value) {
+    onChange();
+    return Promise.resolve(value);
+  }
+
+  return {
+    name: 'memory',
+
+    getSession: function(sessionCode) {
+      return Promise.resolve(sessions.get(sessionCode));
+    },
+
+    putSession: function(session) {
+      sessions.set(session.sessionCode, session);
+      return saved(session);
+    },
+
+    insertSession: function(session) {
+      if (sessions.has(session.sessionCode)) {
+        return Promise.reject(errors.versionConflict(session.sessionCode));
+      }
+      sessions.set(session.sessionCode, session);
+      return saved(session);
+    },
+
+    updateSession: function(sessionCode, updates, expectedVersion) {
+      var session = sessions.get(sessionCode);
+      var isConditional = typeof expectedVersion === 'number';
+
+      if (!session) {
+        return isConditional ? Promise.reject(errors.versionConflict(sessionCode)) : Promise.resolve(null);
+      }
+
+      var currentVersion = session.version || 0;
+      if (isConditional && currentVersion !== expectedVersion) {
+        return Promise.reject(errors.versionConflict(sessionCode));
+      }
+
+      var updatedSession = copyObject(session);
+      for (var key in updates) {
+        if (updates.hasOwnProperty(key)) {
+          updatedSession[key] = updates[key];
+        }
+      }
+      updatedSession.version = currentVersion + 1;
+
+      sessions.set(sessionCode, updatedSession);
+      return saved(updatedSession);
+    },
+
+    writePlayer: function(sessionCode, playerName, fields, mode) {
+      var session = sessions.get(sessionCode);
+      var player = session && session.players[playerName];
+      var allowed = mode === 'add' ? session && !player
+        : mode === 'vote' ? player && !session.votesRevealed
+        : Boolean(player);
+
+      if (!allowed) {
+        var code = mode === 'add' ? 'PLAYER_EXISTS' : 'CONDITION_FAILED';
+        return Promise.reject(errors.playerWriteError(code, sessionCode, playerName));
+      }
+
+      var updatedPlayer = mode === 'add' ? copyObject(fields) : copyObject(player);
+      if (mode !== 'add') {
+        for (var field in fields) {
+          if (fields.hasOwnProperty(field)) {
+            updatedPlayer[field] = fields[field];
+          }
+        }
+      }
+
+      var updatedSession = copyObject(session);
+      updatedSession.players = copyObject(session.players);
+      updatedSession.players[playerName] = updatedPlayer;
+      updatedSession.version = (session.version || 0) + 1;
+
+      sessions.set(sessionCode, updatedSession);
+      return saved(updatedSession);
+    },
+
+    putConnection: function(connection) {
+      connections.set(connection.connectionId, connection);
+      return saved();
+    },
+
+    getConnection: function(connectionId) {
+      return Promise.resolve(connections.get(connectionId));
+    },
+
+    deleteConnection: function(connectionId) {
+      connections.delete(connectionId);
+      return saved();
+    },
+
+    getConnectionsBySession: function(sessionCode) {
+      var matches = [];
+      connections.forEach(function(connection) {
+        if (connection.sessionCode === sessionCode) {
+          matches.push(connection);
+        }
+      });
+      return Promise.resolve(matches);
+    },
+
+    getAttempts: function(key) {
+      var current = attempts.get(key);
+      return Promise.resolve(isLive(current) ? current : undefined);
+    },
+
+    addFailedAttempt: function(key, expiresAt) {
+      var current = attempts.get(key);
+      var updated = isLive(current) ? copyObject(current) : { key: key, failures: 0 };
+      updated.failures += 1;
+      updated.expiresAt = expiresAt;
+
+      attempts.set(key, updated);
+      return Promise.resolve(updated);
+    },
+
+    putAttempts: function(record) {
+      attempts.set(record.key, record);
+      return Promise.resolve(record);
+    },
+
+    debugState: function() {
+      console.log('  Sessions in memory:', sessions.size);
+      console.log('  Connections in memory:', connections.size);
+      console.log('  Attempt counters in memory:', attempts.size);
+
+      sessions.forEach(function(session, code) {
+        var playerCount = Object.keys(session.players || {}).length;
+        console.log('  Session ' + code + ': ' + playerCount + ' players');
+      });
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore: createMemoryStore
+};
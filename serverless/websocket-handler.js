@@ -1,8 +1,49 @@
-// In-memory version for testing without DynamoDB
+// serverless/websocket-handler.js
+// Lambda WebSocket handlers for Planning Poker
+// Sessions and connections live in db.js (DynamoDB in production) so every
+// concurrent Lambda container sees the same session.
 
-// In-memory storage
-const sessions = new Map();
-const connections = new Map();
+const db = require('./db');
+const game = require('./game');
+const rateLimit = require('./rate-limit');
+const { createSessionCode } = require('./session-code');
+const messages = require('./messages');
+
+// Builds the API Gateway Management API client used to push messages to
+// browsers. Tests swap this out with setApiClientFactory to use a local fake.
+let createApiClient = (endpoint) => {
+  const AWS = require('aws-sdk');
+  return new AWS.ApiGatewayManagementApi({
+    apiVersion: '2018-11-29',
+    endpoint: endpoint
+  });
+};
+let apiClient = null;
+
+exports.setApiClientFactory = (factory) => {
+  createApiClient = factory;
+  apiClient = null;
+};
+
+// Point the management client at the API that delivered this event
+function useRequestContext(requestContext) {
+  const endpoint = process.env.IS_OFFLINE
+    ? 'http://localhost:3001'
+    : `https://${requestContext.domainName}/${requestContext.stage}`;
+  
+  apiClient = createApiClient(endpoint);
+}
+
+// Push engine events to everyone in a session from outside a WebSocket event
+// (e.g. an HTTP route). There is no request context here, so the endpoint
+// comes from WEBSOCKET_API_ENDPOINT, set in serverless.yml.
+exports.notifySession = async (sessionCode, events) => {
+  apiClient = createApiClient(process.env.IS_OFFLINE
+    ? 'http://localhost:3001'
+    : process.env.WEBSOCKET_API_ENDPOINT);
+  
+  await broadcastEvents(sessionCode, null, events);
+};
 
 exports.connect = async (event) => {
   console.log('WebSocket connect:', event.requestContext.connectionId);
@@ -12,9 +53,10 @@ exports.connect = async (event) => {
 exports.disconnect = async (event) => {
   const connectionId = event.requestContext.connectionId;
   console.log('WebSocket disconnect:', connectionId);
+  useRequestContext(event.requestContext);
   
   try {
-    await removeConnection(connectionId);
+    await dropConnection(connectionId);
   } catch (error) {
     console.error('Error removing connection:', error);
   }
@@ -24,35 +66,67 @@ exports.disconnect = async (event) => {
 
 exports.message = async (event) => {
   const connectionId = event.requestContext.connectionId;
-  const body = JSON.parse(event.body);
-  const action = body.action;
-  const data = body.data;
+  useRequestContext(event.requestContext);
+  
+  // Every message is checked against its schema (messages.js) before dispatch
+  const parsed = messages.parseMessage(event.body);
+  const checked = parsed.error ? parsed : messages.validateMessage(parsed.message.action, parsed.message.data);
+  
+  if (checked.error) {
+    console.log('Rejected message from', connectionId, ':', checked.error.message);
+    await sendError(connectionId, checked.error);
+    return { statusCode: 200, body: 'Message rejected' };
+  }
+  
+  const action = parsed.message.action;
+  const data = checked.data;
   
   console.log('WebSocket message:', action, data);
   
   try {
     switch (action) {
       case 'joinSession':
-        await handleJoinSession(connectionId, data);
+        await handleJoinSession(connectionId, data, rateLimit.sourceIp(event));
         break;
       case 'castVote':
         await handleCastVote(connectionId, data);
         break;
+      case 'revealVotes':
+        await handleSessionAction(connectionId, action, game.revealVotes, {});
+        break;
       case 'resetVotes':
-        await handleResetVotes(connectionId, data);
+        await handleSessionAction(connectionId, action, game.resetVotes, { issueKey: data.issueKey });
         break;
-      default:
-        await sendToConnection(connectionId, {
-          type: 'error',
-          message: 'Unknown action: ' + action
+      case 'updateSettings':
+        await handleSessionAction(connectionId, action, game.updateSettings, { settings: data.settings });
+        break;
+      case 'transferFacilitator':
+        await handleSessionAction(connectionId, action, game.transferFacilitator, {
+          newFacilitator: data.newFacilitator
+        });
+        break;
+      case 'commitEstimate':
+        await handleSessionAction(connectionId, action, game.commitEstimate, {
+          estimate: data.estimate,
+          label: data.label
         });
+        break;
+      case 'addStory':
+        await handleSessionAction(connectionId, action, game.addStory, { story: data.story });
+        break;
+      case 'reorderStories':
+        await handleSessionAction(connectionId, action, game.reorderStories, { storyIds: data.storyIds });
+        break;
+      case 'nextStory':
+        await handleSessionAction(connectionId, action, game.nextStory, {});
+        break;
+      case 'skipStory':
+        await handleSessionAction(connectionId, action, game.skipStory, {});
+        break;
     }
   } catch (error) {
     console.error('Error handling message:', error);
-    await sendToConnection(connectionId, {
-      type: 'error',
-      message: 'Server error occurred'
-    });
+    await sendError(connectionId, { message: 'Server error occurred' });
   }
   
   return { statusCode: 200, body: 'Message handled' };
@@ -60,216 +134,222 @@ exports.message = async (event) => {
 
 async function sendToConnection(connectionId, message) {
   console.log('Sending to connection:', connectionId, message);
-  // In serverless offline, we'll just log the message
-  // Real API Gateway would send via websocket
-  return Promise.resolve();
+  
+  await apiClient.postToConnection({
+    ConnectionId: connectionId,
+    Data: JSON.stringify(message)
+  }).promise();
 }
 
 async function broadcastToSession(sessionCode, message, excludeConnectionId = null) {
   console.log('Broadcasting to session:', sessionCode, message);
-  const sessionConnections = Array.from(connections.values())
-    .filter(conn => conn.sessionCode === sessionCode && conn.connectionId !== excludeConnectionId);
+  const sessionConnections = (await db.getConnectionsBySession(sessionCode))
+    .filter(conn => conn.connectionId !== excludeConnectionId);
+  const staleConnections = [];
   
   for (const conn of sessionConnections) {
-    await sendToConnection(conn.connectionId, message);
+    try {
+      await sendToConnection(conn.connectionId, message);
+    } catch (error) {
+      if (isGoneError(error)) {
+        staleConnections.push(conn);
+      } else {
+        // One unreachable browser must not stop the rest of the broadcast
+        console.error('Error sending to connection:', conn.connectionId, error);
+      }
+    }
   }
+  
+  for (const conn of staleConnections) {
+    await pruneStaleConnection(conn);
+  }
+}
+
+// API Gateway answers 410 Gone for connections whose browser has gone away
+function isGoneError(error) {
+  return Boolean(error) && (error.statusCode === 410 || error.code === 'GoneException');
 }
 
-async function handleJoinSession(connectionId, data) {
-  const { sessionCode, playerName, isSpectator = false } = data;
+// Forget a dead connection right away instead of waiting for the TTL; the
+// player is marked disconnected and the remaining players get a sessionUpdate
+async function pruneStaleConnection(connection) {
+  console.log('Pruning stale connection:', connection.connectionId, 'for', connection.playerName);
   
-  if (!playerName || playerName.length > 20) {
+  await dropConnection(connection.connectionId);
+}
+
+// Broadcast game engine events to the session as { type, data }
+async function broadcastEvents(sessionCode, connectionId, events) {
+  for (const event of events) {
+    await broadcastToSession(sessionCode, {
+      type: event.name,
+      data: event.data
+    }, event.excludePlayer ? connectionId : null);
+  }
+}
+
+// Every error reply goes through here. It never throws: the connection may
+// already be gone (410), and that must not fail the Lambda invocation.
+async function sendError(connectionId, error) {
+  try {
     await sendToConnection(connectionId, {
       type: 'error',
-      message: 'Invalid player name'
+      code: error.code,
+      message: error.message,
+      field: error.field, // the failing field of a rejected message
+      retryAfter: error.retryAfter // RATE_LIMITED only
     });
-    return;
+  } catch (sendFailure) {
+    console.error('Error sending error to connection:', connectionId, sendFailure);
   }
-  
-  const finalSessionCode = sessionCode || generateSessionCode();
+}
+
+async function handleJoinSession(connectionId, data, ip) {
+  // Unknown codes, wrong passcodes and player tokens count per address and per connection
+  const attempts = rateLimit.attemptKeys(ip, connectionId);
   
   try {
-    let session = sessions.get(finalSessionCode);
-    if (!session) {
-      session = {
-        sessionCode: finalSessionCode,
-        players: {},
-        votesRevealed: false,
-        createdAt: Date.now()
-      };
-      sessions.set(finalSessionCode, session);
+    const limited = await rateLimit.check(attempts);
+    if (limited) {
+      await sendError(connectionId, limited);
+      return;
     }
     
-    // Store connection
-    connections.set(connectionId, {
-      connectionId,
-      sessionCode: finalSessionCode,
-      playerName,
-      isSpectator,
-      connectedAt: Date.now()
+    // No code starts a new session under a fresh one; a code must name an
+    // existing session, or it counts as a guess
+    let finalSessionCode = data.sessionCode;
+    if (!finalSessionCode) {
+      finalSessionCode = await createSessionCode();
+      await db.createSession(finalSessionCode);
+    }
+    
+    // Adds players.<name> in place - the rest of the players map is untouched
+    const result = await db.joinPlayer(finalSessionCode, {
+      playerName: data.playerName,
+      isSpectator: data.isSpectator,
+      passcode: data.passcode,
+      playerToken: data.playerToken
     });
     
-    session.players[playerName] = {
-      vote: null,
-      isSpectator: isSpectator,
-      connectionId: connectionId
-    };
+    if (result.error) {
+      const locked = rateLimit.isGuessError(result.error) && await rateLimit.recordFailure(attempts);
+      await sendError(connectionId, locked || result.error);
+      return;
+    }
+    
+    const playerName = result.playerName;
+    const isSpectator = result.session.players[playerName].isSpectator;
+    
+    // Store connection
+    await db.storeConnection(connectionId, finalSessionCode, playerName, isSpectator);
     
     await sendToConnection(connectionId, {
       type: 'sessionJoined',
       data: {
         sessionCode: finalSessionCode,
         playerName: playerName,
-        isSpectator: isSpectator
-      }
-    });
-    
-    await broadcastToSession(finalSessionCode, {
-      type: 'sessionUpdate',
-      data: {
-        players: session.players,
-        votesRevealed: session.votesRevealed || false,
-        hasConsensus: checkConsensus(session.players)
+        isSpectator: isSpectator,
+        isFacilitator: result.session.facilitator === playerName,
+        playerToken: result.playerToken // needed to reclaim the name on reconnect
       }
     });
     
-    await broadcastToSession(finalSessionCode, {
-      type: 'playerJoined',
-      data: { playerName: playerName }
-    }, connectionId);
+    await broadcastEvents(finalSessionCode, connectionId, result.events);
+    await promoteIfAbandoned(finalSessionCode, result.session);
     
   } catch (error) {
     console.error('Error joining session:', error);
-    await sendToConnection(connectionId, {
-      type: 'error',
-      message: 'Failed to join session'
-    });
+    await sendError(connectionId, { message: 'Failed to join session' });
   }
 }
 
-async function handleCastVote(connectionId, data) {
-  const { sessionCode, playerName, vote } = data;
+// Apply a game engine action through db.modifySession (optimistic locking)
+function modifyWith(action, data) {
+  return connection => db.modifySession(connection.sessionCode, session =>
+    action(session, Object.assign({}, data, { playerName: connection.playerName })));
+}
+
+// Run a session write for the player behind this connection. `write` gets the
+// connection and resolves with a game engine result (or null if not found).
+async function handleGameAction(connectionId, actionName, write) {
+  const connection = await db.getConnection(connectionId);
+  const result = connection && await write(connection);
+  
+  if (!result) {
+    await sendError(connectionId, { message: 'Session not found' });
+    return null;
+  }
+  
+  if (result.error) {
+    await sendError(connectionId, result.error);
+    return null;
+  }
   
+  console.log(actionName, 'by', connection.playerName, 'in session', connection.sessionCode);
+  await broadcastEvents(connection.sessionCode, connectionId, result.events);
+  await promoteIfAbandoned(connection.sessionCode, result.session);
+  return result;
+}
+
+// A Lambda cannot wait out a disconnected facilitator's grace period, so the
+// check runs on the session's next activity instead (see game.promoteFacilitator)
+async function promoteIfAbandoned(sessionCode, session) {
+  if (!game.isFacilitatorAbandoned(session)) return;
+  
+  const result = await db.modifySession(sessionCode, latest => game.promoteFacilitator(latest));
+  if (result && !result.error) {
+    console.log(result.session.facilitator, 'is now the facilitator of session', sessionCode);
+    await broadcastEvents(sessionCode, null, result.events);
+  }
+}
+
+async function handleCastVote(connectionId, data) {
   try {
-    const session = sessions.get(sessionCode);
-    if (!session) {
-      await sendToConnection(connectionId, {
-        type: 'error',
-        message: 'Session not found'
-      });
-      return;
-    }
+    const result = await handleGameAction(connectionId, 'castVote', connection =>
+      db.recordVote(connection.sessionCode, connection.playerName, data.vote));
     
-    if (session.players && session.players[playerName]) {
-      session.players[playerName].vote = vote;
-      
+    if (result) {
       await sendToConnection(connectionId, {
         type: 'voteReceived',
-        data: { vote: vote }
-      });
-      
-      await broadcastToSession(sessionCode, {
-        type: 'sessionUpdate',
-        data: {
-          players: session.players,
-          votesRevealed: session.votesRevealed || false,
-          hasConsensus: checkConsensus(session.players)
-        }
+        data: { vote: data.vote }
       });
     }
     
   } catch (error) {
     console.error('Error casting vote:', error);
-    await sendToConnection(connectionId, {
-      type: 'error',
-      message: 'Failed to cast vote'
-    });
+    await sendError(connectionId, { message: 'Failed to cast vote' });
   }
 }
 
-async function handleResetVotes(connectionId, data) {
-  const { sessionCode, playerName } = data;
-  
+// Run an engine action that needs no transport-specific handling (reveal,
+// reset, settings, story backlog) for the player behind this connection
+async function handleSessionAction(connectionId, actionName, action, actionData) {
   try {
-    const session = sessions.get(sessionCode);
-    if (!session) {
-      await sendToConnection(connectionId, {
-        type: 'error',
-        message: 'Session not found'
-      });
-      return;
-    }
-    
-    const player = session.players[playerName];
-    if (!player || !player.isSpectator) {
-      await sendToConnection(connectionId, {
-        type: 'error',
-        message: 'Only spectators can reset votes'
-      });
-      return;
-    }
-    
-    Object.keys(session.players).forEach(name => {
-      session.players[name].vote = null;
-    });
-    session.votesRevealed = false;
-    
-    await broadcastToSession(sessionCode, {
-      type: 'sessionUpdate',
-      data: {
-        players: session.players,
-        votesRevealed: false,
-        hasConsensus: false
-      }
-    });
+    await handleGameAction(connectionId, actionName, modifyWith(action, actionData));
     
   } catch (error) {
-    console.error('Error resetting votes:', error);
-    await sendToConnection(connectionId, {
-      type: 'error',
-      message: 'Failed to reset votes'
-    });
+    console.error('Error handling ' + actionName + ':', error);
+    await sendError(connectionId, { message: 'Failed to ' + actionName });
   }
 }
 
-async function removeConnection(connectionId) {
-  const connection = connections.get(connectionId);
+// Forget a connection and mark its player disconnected in the session
+async function dropConnection(connectionId) {
+  const connection = await db.getConnection(connectionId);
+  if (!connection) return;
   
-  if (connection) {
-    const session = sessions.get(connection.sessionCode);
-    if (session && session.players && session.players[connection.playerName]) {
-      delete session.players[connection.playerName];
-      
-      await broadcastToSession(connection.sessionCode, {
-        type: 'playerLeft',
-        data: { playerName: connection.playerName }
-      });
-      
-      await broadcastToSession(connection.sessionCode, {
-        type: 'sessionUpdate',
-        data: {
-          players: session.players,
-          votesRevealed: session.votesRevealed || false,
-          hasConsensus: checkConsensus(session.players)
-        }
-      });
-    }
-    
-    connections.delete(connectionId);
-  }
-}
-
-function generateSessionCode() {
-  return Math.random().toString(36).substr(2, 8).toUpperCase();
-}
-
-function checkConsensus(players) {
-  if (!players) return false;
+  await db.removeConnection(connectionId);
+  
+  // The player may already be back on a newer connection (e.g. page reload)
+  const remaining = await db.getConnectionsBySession(connection.sessionCode);
+  if (remaining.some(conn => conn.playerName === connection.playerName)) return;
   
-  const votes = Object.values(players)
-    .filter(player => !player.isSpectator && player.vote !== null && player.vote !== undefined)
-    .map(player => player.vote);
+  // Keep the player's slot so they can reconnect, but mark them disconnected
+  const result = await db.modifySession(connection.sessionCode, session =>
+    game.leaveSession(session, { playerName: connection.playerName }));
   
-  if (votes.length < 2) return false;
-  return votes.every(vote => vote === votes[0]);
+  if (result && !result.error) {
+    await broadcastEvents(connection.sessionCode, connectionId, result.events);
+    await promoteIfAbandoned(connection.sessionCode, result.session);
+  }
 }
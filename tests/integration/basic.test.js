@@ -5,6 +5,17 @@
 const { spawn } = require('child_process');
 const Client = require('socket.io-client');
 
+// Joins only reach existing sessions, so tests create theirs over HTTP first
+function createSession() {
+  return fetch('http://localhost:3333/api/sessions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{}'
+  })
+    .then((response) => response.json())
+    .then((body) => body.sessionCode);
+}
+
 describe('Basic Integration Tests', () => {
   let serverProcess;
   let client;
@@ -77,23 +88,27 @@ describe('Basic Integration Tests', () => {
   }, 10000);
 
   test('should handle joinSession event', (done) => {
+    let sessionCode;
     client = new Client('http://localhost:3333');
     
     client.on('connect', () => {
       console.log('🔌 Connected, sending joinSession event...');
       
-      client.emit('joinSession', {
-        sessionCode: 'INT001',
-        playerName: 'IntegrationTest',
-        isSpectator: false
-      });
+      createSession().then((code) => {
+        sessionCode = code;
+        client.emit('joinSession', {
+          sessionCode: sessionCode,
+          playerName: 'IntegrationTest',
+          isSpectator: false
+        });
+      }).catch(done);
     });
     
     client.on('joinedSession', (data) => {
       console.log('✅ Received joinedSession response:', data);
       
       expect(data).toBeDefined();
-      expect(data.sessionCode).toBe('INT001');
+      expect(data.sessionCode).toBe(sessionCode);
       expect(data.playerName).toBe('IntegrationTest');
       expect(data.isSpectator).toBe(false);
       
@@ -115,11 +130,13 @@ describe('Basic Integration Tests', () => {
     
     client.on('connect', () => {
       console.log('🔌 Connected for voting test, socket ID:', client.id);
-      client.emit('joinSession', {
-        sessionCode: 'INT002',
-        playerName: 'VotingTest',
-        isSpectator: false
-      });
+      createSession().then((sessionCode) => {
+        client.emit('joinSession', {
+          sessionCode: sessionCode,
+          playerName: 'VotingTest',
+          isSpectator: false
+        });
+      }).catch(done);
     });
     
     client.on('joinedSession', (data) => {
@@ -181,6 +198,42 @@ describe('Basic Integration Tests', () => {
       }
     }, 8000);
   }, 10000);
+
+  test('should keep a reloaded player connected when the old socket drops', (done) => {
+    const oldClient = new Client('http://localhost:3333');
+    
+    oldClient.on('connect', () => {
+      // No code: the server starts a new session
+      oldClient.emit('joinSession', { playerName: 'ReloadTest' });
+    });
+    
+    oldClient.once('joinedSession', (joined) => {
+      // The page reloads: a new socket rejoins before the old one goes away
+      client = new Client('http://localhost:3333');
+      
+      client.on('connect', () => {
+        client.emit('joinSession', {
+          sessionCode: joined.sessionCode,
+          playerName: 'ReloadTest',
+          playerToken: joined.playerToken
+        });
+      });
+      
+      client.once('joinedSession', () => {
+        oldClient.close();
+        
+        setTimeout(() => {
+          fetch('http://localhost:3333/api/sessions/' + joined.sessionCode)
+            .then((response) => response.json())
+            .then((body) => {
+              expect(body.state.players.ReloadTest.connected).toBe(true);
+              done();
+            })
+            .catch(done);
+        }, 1000);
+      });
+    });
+  }, 10000);
 });
 
 describe('Cost Optimization Tests', () => {
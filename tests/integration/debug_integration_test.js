@@ -74,8 +74,8 @@ describe('Debug Integration Tests', () => {
       console.log('✅ Connected to debug server, socket ID:', client.id);
       
       console.log('📝 Sending joinSession event...');
+      // No code: the server starts a new session
       client.emit('joinSession', {
-        sessionCode: 'DEBUG01',
         playerName: 'DebugPlayer',
         isSpectator: false
       });
@@ -5,6 +5,7 @@
 // Set test environment variables
 process.env.NODE_ENV = "test";
 process.env.IS_OFFLINE = "true";
+process.env.PLAYER_TOKEN_SECRET = "test-player-token-secret";
 
 // Increase timeout for async tests
 jest.setTimeout(30000);
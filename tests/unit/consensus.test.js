@@ -0,0 +1,85 @@
+// tests/unit/consensus.test.js
+// Unit tests for the configurable consensus policies
+// Directory: root project folder (planning-poker-serverless/)
+
+const game = require("../../serverless/game");
+const consensus = require("../../serverless/consensus");
+
+const FIBONACCI = [1, 2, 3, 5, 8, 13];
+
+function estimates(votes) {
+  return votes.map((vote, index) => ({ playerName: "P" + index, vote }));
+}
+
+describe("Consensus Policies", () => {
+  test("should report exact agreement under any policy", () => {
+    const result = consensus.evaluate(estimates([5, 5]), FIBONACCI, {
+      type: "adjacent",
+    });
+
+    expect(result).toEqual({ reached: true, policy: "exact", card: 5 });
+  });
+
+  test("should accept votes on neighbouring cards with the adjacent policy", () => {
+    const policy = { type: "adjacent" };
+
+    expect(consensus.evaluate(estimates([5, 8, 8]), FIBONACCI, policy)).toEqual({
+      reached: true,
+      policy: "adjacent",
+      card: 8,
+    });
+    expect(consensus.evaluate(estimates([3, 8]), FIBONACCI, policy).reached).toBe(
+      false
+    );
+  });
+
+  test("should need the configured share for the majority policy", () => {
+    const policy = { type: "majority", percentage: 75 };
+
+    expect(
+      consensus.evaluate(estimates([5, 5, 5, 13]), FIBONACCI, policy).card
+    ).toBe(5);
+    expect(
+      consensus.evaluate(estimates([5, 5, 13]), FIBONACCI, policy).reached
+    ).toBe(false);
+  });
+
+  test("should compare card values for the spread policy", () => {
+    const policy = { type: "spread", maxSpread: 3 };
+
+    expect(consensus.evaluate(estimates([5, 8]), FIBONACCI, policy).policy).toBe(
+      "spread"
+    );
+    expect(consensus.evaluate(estimates([5, 13]), FIBONACCI, policy).reached).toBe(
+      false
+    );
+  });
+
+  test("should validate policies as session settings", () => {
+    expect(
+      game.validateSettings({ consensusPolicy: "majority" }).settings
+    ).toEqual({ consensusPolicy: { type: "majority", percentage: 80 } });
+    expect(
+      game.validateSettings({ consensusPolicy: { type: "spread" } }).error.code
+    ).toBe("INVALID_SETTINGS");
+    expect(
+      game.validateSettings({ consensusPolicy: { type: "majority", percentage: 40 } })
+        .error.code
+    ).toBe("INVALID_SETTINGS");
+  });
+
+  test("should use the session's policy in the revealed state", () => {
+    let session = game.createSession("CONS01", {
+      settings: { consensusPolicy: { type: "adjacent" } },
+    });
+    session = game.joinSession(session, { playerName: "Alice" }).session;
+    session = game.joinSession(session, { playerName: "Bob" }).session;
+    session = game.castVote(session, { playerName: "Alice", vote: 2 }).session;
+    session = game.castVote(session, { playerName: "Bob", vote: 3 }).session;
+
+    const state = game.getSessionState(session);
+
+    expect(state.hasConsensus).toBe(true);
+    expect(state.consensus.policy).toBe("adjacent");
+  });
+});
@@ -6,10 +6,15 @@ const {
   createSession,
   getSession,
   updateSession,
+  modifySession,
+  addPlayer,
+  joinPlayer,
+  recordVote,
   storeConnection,
   getConnection,
   checkConsensus,
 } = require("../../serverless/db");
+const game = require("../../serverless/game");
 
 describe("Database Functions", () => {
   beforeEach(() => {
@@ -75,6 +80,140 @@ describe("Database Functions", () => {
     });
   });
 
+  describe("Optimistic Concurrency", () => {
+    test("should bump the version on every update", async () => {
+      const sessionCode = "TEST010";
+      const session = await createSession(sessionCode);
+
+      expect(session.version).toBe(0);
+
+      const updated = await updateSession(sessionCode, { votesRevealed: true });
+
+      expect(updated.version).toBe(1);
+    });
+
+    test("should reject a write based on a stale version", async () => {
+      const sessionCode = "TEST011";
+      await createSession(sessionCode);
+      await updateSession(sessionCode, { votesRevealed: true }, 0);
+
+      await expect(
+        updateSession(sessionCode, { votesRevealed: false }, 0)
+      ).rejects.toMatchObject({ code: "VERSION_CONFLICT" });
+    });
+
+    test("should re-apply an action when another write got in first", async () => {
+      const sessionCode = "TEST012";
+      await modifySession(
+        sessionCode,
+        (session) => game.joinSession(session, { playerName: "Alice" }),
+        true
+      );
+      await modifySession(sessionCode, (session) =>
+        game.joinSession(session, { playerName: "Bob" })
+      );
+
+      let attempts = 0;
+      const result = await modifySession(sessionCode, (session) => {
+        attempts++;
+        if (attempts === 1) {
+          // Simulate Bob's vote landing between our read and our write
+          const bobVote = game.castVote(session, { playerName: "Bob", vote: 3 });
+          updateSession(sessionCode, game.getSessionUpdates(bobVote.session));
+        }
+        return game.castVote(session, { playerName: "Alice", vote: 5 });
+      });
+
+      expect(attempts).toBe(2);
+      expect(result.session.players.Alice.vote).toBe(5);
+      expect(result.session.players.Bob.vote).toBe(3);
+      expect(result.session.votesRevealed).toBe(true);
+    });
+  });
+
+  describe("Per-Player Updates", () => {
+    test("should add a player without rewriting the others", async () => {
+      const sessionCode = "TEST020";
+      await createSession(sessionCode);
+      await addPlayer(sessionCode, "Alice", game.createPlayer(false));
+      const session = await addPlayer(
+        sessionCode,
+        "Bob",
+        game.createPlayer(true)
+      );
+
+      expect(Object.keys(session.players)).toEqual(["Alice", "Bob"]);
+      expect(session.players.Bob.isSpectator).toBe(true);
+      expect(session.version).toBe(2);
+
+      await expect(
+        addPlayer(sessionCode, "Alice", game.createPlayer(false))
+      ).rejects.toMatchObject({ code: "PLAYER_EXISTS" });
+    });
+
+    test("should not create a session for an unknown code", async () => {
+      const result = await joinPlayer("TEST024", { playerName: "Alice" });
+
+      expect(result.error.code).toBe("SESSION_NOT_FOUND");
+      expect(await getSession("TEST024")).toBeUndefined();
+    });
+
+    test("should treat joining with a known name as a reconnect", async () => {
+      const sessionCode = "TEST021";
+      await createSession(sessionCode);
+      const first = await joinPlayer(sessionCode, { playerName: " Alice " });
+      const impostor = await joinPlayer(sessionCode, { playerName: "Alice" });
+      const second = await joinPlayer(sessionCode, {
+        playerName: "Alice",
+        playerToken: first.playerToken,
+      });
+
+      expect(first.reconnected).toBe(false);
+      expect(first.playerName).toBe("Alice");
+      expect(first.session.facilitator).toBe("Alice");
+      expect(impostor.error.code).toBe("NAME_TAKEN");
+      expect(second.reconnected).toBe(true);
+      expect(Object.keys(second.session.players)).toEqual(["Alice"]);
+    });
+
+    test("should record votes and auto-reveal after the last one", async () => {
+      const sessionCode = "TEST022";
+      await createSession(sessionCode);
+      await joinPlayer(sessionCode, { playerName: "Alice" });
+      await joinPlayer(sessionCode, { playerName: "Bob" });
+
+      const first = await recordVote(sessionCode, "Alice", 5);
+      const second = await recordVote(sessionCode, "Bob", 5);
+
+      expect(first.session.votesRevealed).toBe(false);
+      expect(second.session.votesRevealed).toBe(true);
+      expect(second.events[0].data.hasConsensus).toBe(true);
+
+      const late = await recordVote(sessionCode, "Alice", 8);
+
+      expect(late.error.code).toBe("VOTING_CLOSED");
+    });
+
+    test("should keep committed estimates on the stored session after a reset", async () => {
+      const sessionCode = "TEST023";
+      await createSession(sessionCode);
+      await joinPlayer(sessionCode, { playerName: "Sam", isSpectator: true });
+      await joinPlayer(sessionCode, { playerName: "Alice" });
+      await recordVote(sessionCode, "Alice", 8);
+
+      await modifySession(sessionCode, (session) =>
+        game.commitEstimate(session, { playerName: "Sam", label: "Export" })
+      );
+      await modifySession(sessionCode, (session) =>
+        game.resetVotes(session, { playerName: "Sam" })
+      );
+
+      const stored = await getSession(sessionCode);
+
+      expect(stored.estimates[0]).toMatchObject({ label: "Export", value: 8 });
+    });
+  });
+
   describe("Connection Management", () => {
     test("should store a connection", async () => {
       const connectionId = "conn_001";
@@ -0,0 +1,150 @@
+// tests/unit/deployed-routes.test.js
+// Unit tests for the HTTP and WebSocket handlers serverless.yml deploys
+// Directory: root project folder (planning-poker-serverless/)
+
+const fs = require("fs");
+const path = require("path");
+
+const db = require("../../serverless/db");
+const websocketHandler = require("../../serverless/websocket-handler");
+
+// The handler serverless.yml routes a function to, e.g. serverless/api.getSession
+function deployedHandler(functionName) {
+  const yml = fs.readFileSync(path.join(__dirname, "../../serverless.yml"), "utf8");
+  const match = yml.match(
+    new RegExp("^  " + functionName + ":\\n    handler: (\\S+)$", "m")
+  );
+  const [file, exportName] = match[1].split(/\.(?=[^.]+$)/);
+
+  return require(path.join(__dirname, "../..", file))[exportName];
+}
+
+function wsEvent(connectionId, action, data) {
+  return {
+    requestContext: {
+      connectionId: connectionId,
+      domainName: "abc123.execute-api.us-east-1.amazonaws.com",
+      stage: "prod",
+    },
+    body: JSON.stringify({ action, data }),
+  };
+}
+
+// Create a session through the deployed route and have Alice vote in it over
+// the WebSocket handler (a single voter, so the vote is revealed at once)
+async function createAndVote(connectionId, vote, roundData) {
+  const created = await deployedHandler("createSession")({ body: "{}" });
+  const { sessionCode } = JSON.parse(created.body);
+
+  await websocketHandler.message(
+    wsEvent(connectionId, "joinSession", { sessionCode, playerName: "Alice" })
+  );
+  await websocketHandler.message(wsEvent(connectionId, "resetVotes", roundData || {}));
+  await websocketHandler.message(wsEvent(connectionId, "castVote", { vote }));
+  return sessionCode;
+}
+
+describe("Deployed Routes", () => {
+  let sent;
+
+  beforeEach(() => {
+    sent = [];
+    websocketHandler.setApiClientFactory(() => ({
+      postToConnection: (params) => {
+        sent.push({ connectionId: params.ConnectionId, message: JSON.parse(params.Data) });
+        return { promise: () => Promise.resolve() };
+      },
+    }));
+  });
+
+  const messagesFor = (connectionId) =>
+    sent.filter((entry) => entry.connectionId === connectionId).map((entry) => entry.message);
+
+  test("should keep the passcode and deck of a created session for WebSocket joins", async () => {
+    const created = await deployedHandler("createSession")({
+      body: JSON.stringify({ passcode: "secret123", deck: "tshirt" }),
+    });
+    const { sessionCode, hasPasscode } = JSON.parse(created.body);
+
+    expect(created.statusCode).toBe(200);
+    expect(hasPasscode).toBe(true);
+
+    await websocketHandler.message(
+      wsEvent("conn-deploy-1", "joinSession", { sessionCode, playerName: "Mallory" })
+    );
+    await websocketHandler.message(
+      wsEvent("conn-deploy-2", "joinSession", {
+        sessionCode,
+        playerName: "Alice",
+        passcode: "secret123",
+      })
+    );
+
+    expect(messagesFor("conn-deploy-1")).toEqual([
+      expect.objectContaining({ type: "error", code: "PASSCODE_REQUIRED" }),
+    ]);
+    expect(messagesFor("conn-deploy-2").map((m) => m.type)).toContain("sessionJoined");
+
+    const session = await db.getSession(sessionCode);
+    expect(Object.keys(session.players)).toEqual(["Alice"]);
+    expect(session.deck.type).toBe("tshirt");
+  });
+
+  test("should only show a passcode-protected session to callers sending the passcode", async () => {
+    const created = await deployedHandler("createSession")({
+      body: JSON.stringify({ passcode: "secret123" }),
+    });
+    const { sessionCode } = JSON.parse(created.body);
+    const getSession = deployedHandler("getSession");
+
+    const withoutPasscode = await getSession({ pathParameters: { sessionCode } });
+    const withPasscode = await getSession({
+      pathParameters: { sessionCode },
+      headers: { "X-Session-Passcode": "secret123" },
+    });
+
+    expect(withoutPasscode.statusCode).toBe(403);
+    expect(JSON.parse(withoutPasscode.body).code).toBe("PASSCODE_REQUIRED");
+    expect(withPasscode.statusCode).toBe(200);
+    expect(JSON.parse(withPasscode.body).state.hasPasscode).toBe(true);
+  });
+
+  test("should return the round history the WebSocket handler stored", async () => {
+    const sessionCode = await createAndVote("conn-deploy-rounds", 5);
+    await websocketHandler.message(wsEvent("conn-deploy-rounds", "resetVotes", {}));
+
+    const response = await deployedHandler("getRounds")({ pathParameters: { sessionCode } });
+    const { rounds } = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(rounds).toHaveLength(1);
+    expect(rounds[0].votes).toEqual({ Alice: 5 });
+  });
+
+  test("should export the rounds the WebSocket handler stored", async () => {
+    const sessionCode = await createAndVote("conn-deploy-export", 8);
+    await websocketHandler.message(wsEvent("conn-deploy-export", "resetVotes", {}));
+
+    const response = await deployedHandler("exportSession")({
+      pathParameters: { sessionCode },
+      queryStringParameters: { format: "csv" },
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toContain("Alice");
+  });
+
+  test("should export the Jira estimates the WebSocket handler stored", async () => {
+    const sessionCode = await createAndVote("conn-deploy-jira", 5, { issueKey: "PROJ-1" });
+
+    const response = await deployedHandler("exportJira")({
+      pathParameters: { sessionCode },
+      queryStringParameters: { format: "json" },
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).issueUpdates).toEqual([
+      { key: "PROJ-1", fields: { customfield_10016: 5 } },
+    ]);
+  });
+});
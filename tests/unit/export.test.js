@@ -0,0 +1,96 @@
+// tests/unit/export.test.js
+// Unit tests for the session summary export
+// Directory: root project folder (planning-poker-serverless/)
+
+const db = require("../../serverless/db");
+const game = require("../../serverless/game");
+const api = require("../../serverless/api");
+const {
+  JIRA_FORMATS,
+  chooseFormat,
+  exportSession,
+  exportJira,
+} = require("../../serverless/export");
+
+// Two voters estimate "Login, SSO" to 5 with a commit, then start a re-vote
+function plannedSession() {
+  let session = game.createSession("EXPORT1");
+  [
+    { playerName: "Sam", isSpectator: true },
+    { playerName: "Alice" },
+    { playerName: "Bob" },
+  ].forEach((player) => {
+    session = game.joinSession(session, player).session;
+  });
+  session = game.addStory(session, {
+    playerName: "Sam",
+    story: { title: "Login, SSO" },
+  }).session;
+  session = game.nextStory(session, { playerName: "Sam" }).session;
+  session = game.castVote(session, { playerName: "Alice", vote: 5 }).session;
+  session = game.castVote(session, { playerName: "Bob", vote: 5 }).session;
+  session = game.commitEstimate(session, { playerName: "Sam" }).session;
+  return game.resetVotes(session, { playerName: "Sam" }).session;
+}
+
+describe("Session Export", () => {
+  test("should pick the format from the query first, then Accept", () => {
+    expect(chooseFormat("md", "text/csv")).toEqual({ format: "markdown" });
+    expect(chooseFormat(undefined, "text/csv;q=0.9, */*")).toEqual({
+      format: "csv",
+    });
+    expect(chooseFormat(undefined, undefined)).toEqual({ format: "json" });
+    expect(chooseFormat("xml").error.status).toBe(400);
+    expect(chooseFormat(undefined, "application/xml").error.status).toBe(406);
+  });
+
+  test("should write one CSV row per round with every vote", () => {
+    const exported = exportSession(plannedSession(), "csv");
+    const lines = exported.body.trim().split("\r\n");
+
+    expect(exported.filename).toBe("planning-poker-EXPORT1.csv");
+    expect(lines[0]).toBe(
+      "Round,Story,Alice,Bob,Consensus,Final Estimate,Revealed At,Duration (s),Re-votes"
+    );
+    expect(lines[1]).toMatch(/^1,"Login, SSO",5,5,5,5,/);
+  });
+
+  test("should list stories and rounds as Markdown tables", () => {
+    const body = exportSession(plannedSession(), "markdown").body;
+
+    expect(body).toContain("## Stories");
+    expect(body).toContain("| Login, SSO | pending | 5 |");
+    expect(body).toContain("| 1 | Login, SSO | 5 | 5 | 5 | 5 |");
+  });
+
+  test("should export keyed rounds as Jira CSV and issue updates", () => {
+    let session = game.resetVotes(plannedSession(), {
+      playerName: "Sam",
+      issueKey: "PP-4",
+    }).session;
+    session = game.castVote(session, { playerName: "Alice", vote: 3 }).session;
+    session = game.castVote(session, { playerName: "Bob", vote: 3 }).session;
+
+    expect(exportJira(session, "csv").body).toBe("Issue key,Story Points\r\nPP-4,3\r\n");
+    expect(JSON.parse(exportJira(session, "json", "customfield_10028").body)).toEqual({
+      issueUpdates: [{ key: "PP-4", fields: { customfield_10028: 3 } }],
+    });
+    expect(chooseFormat("md", undefined, JIRA_FORMATS).error.status).toBe(400);
+  });
+
+  test("should serve the export through the API handler", async () => {
+    await db.createSession("EXPORT2");
+    await db.joinPlayer("EXPORT2", { playerName: "Alice" });
+    await db.recordVote("EXPORT2", "Alice", 3);
+
+    const response = await api.exportSession({
+      pathParameters: { sessionCode: "export2" },
+      headers: { Accept: "text/markdown" },
+      queryStringParameters: null,
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers["Content-Type"]).toContain("text/markdown");
+    expect(response.body).toContain("| 1 |  | 3 | 3 |");
+  });
+});
@@ -0,0 +1,650 @@
+// tests/unit/game.test.js
+// Unit tests for the shared game engine
+// Directory: root project folder (planning-poker-serverless/)
+
+const game = require("../../serverless/game");
+
+// Build a session with the given players already joined
+function sessionWith(players) {
+  let session = game.createSession("GAME001");
+  players.forEach((player) => {
+    session = game.joinSession(session, player).session;
+  });
+  return session;
+}
+
+describe("Game Engine", () => {
+  describe("joinSession", () => {
+    test("should add a new player and emit playerJoined and sessionUpdate", () => {
+      const session = game.createSession("GAME001");
+      const result = game.joinSession(session, {
+        playerName: " Alice ",
+        isSpectator: false,
+      });
+
+      expect(result.error).toBeUndefined();
+      expect(result.playerName).toBe("Alice");
+      expect(result.session.players.Alice.hasVoted).toBe(false);
+      expect(result.events.map((e) => e.name)).toEqual([
+        "playerJoined",
+        "sessionUpdate",
+      ]);
+      expect(result.events[0].excludePlayer).toBe("Alice");
+    });
+
+    test("should not mutate the session it was given", () => {
+      const session = game.createSession("GAME001");
+      game.joinSession(session, { playerName: "Alice" });
+
+      expect(session.players).toEqual({});
+    });
+
+    test("should reconnect an existing player instead of adding a duplicate", () => {
+      const first = game.joinSession(game.createSession("GAME001"), {
+        playerName: "Alice",
+      });
+      const session = game.leaveSession(first.session, { playerName: "Alice" }).session;
+
+      const result = game.joinSession(session, {
+        playerName: "Alice",
+        playerToken: first.playerToken,
+      });
+
+      expect(result.reconnected).toBe(true);
+      expect(result.session.players.Alice.connected).toBe(true);
+      expect(result.events.map((e) => e.name)).toEqual(["sessionUpdate"]);
+    });
+
+    test("should need the player token to reclaim a taken name", () => {
+      const first = game.joinSession(game.createSession("GAME001"), {
+        playerName: "Alice",
+      });
+      const other = game.joinSession(game.createSession("GAME002"), {
+        playerName: "Alice",
+      });
+
+      expect(first.playerToken).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(game.joinSession(first.session, { playerName: "Alice" }).error.code).toBe(
+        "NAME_TAKEN"
+      );
+      expect(
+        game.joinSession(first.session, {
+          playerName: "Alice",
+          playerToken: other.playerToken,
+        }).error.code
+      ).toBe("NAME_TAKEN");
+    });
+
+    test("should reject missing and overly long names", () => {
+      const session = game.createSession("GAME001");
+
+      expect(game.joinSession(session, { playerName: "  " }).error.code).toBe(
+        "MISSING_NAME"
+      );
+      expect(
+        game.joinSession(session, { playerName: "x".repeat(21) }).error.code
+      ).toBe("NAME_TOO_LONG");
+    });
+  });
+
+  describe("castVote", () => {
+    test("should hide votes until every voter has voted", () => {
+      const session = sessionWith([
+        { playerName: "Alice" },
+        { playerName: "Bob" },
+      ]);
+
+      const result = game.castVote(session, { playerName: "Alice", vote: 5 });
+      const state = result.events[0].data;
+
+      expect(result.session.votesRevealed).toBe(false);
+      expect(state.players.Alice.hasVoted).toBe(true);
+      expect(state.players.Alice.vote).toBeNull();
+    });
+
+    test("should auto-reveal once every voter has voted", () => {
+      let session = sessionWith([
+        { playerName: "Sam", isSpectator: true },
+        { playerName: "Alice" },
+        { playerName: "Bob" },
+      ]);
+
+      session = game.castVote(session, { playerName: "Alice", vote: 5 }).session;
+      const result = game.castVote(session, { playerName: "Bob", vote: 5 });
+      const state = game.getSessionState(result.session);
+
+      expect(state.votesRevealed).toBe(true);
+      expect(state.hasConsensus).toBe(true);
+      expect(state.players.Bob.vote).toBe(5);
+    });
+
+    test("should reject spectator votes and votes after reveal", () => {
+      let session = sessionWith([
+        { playerName: "Sam", isSpectator: true },
+        { playerName: "Alice" },
+      ]);
+
+      expect(
+        game.castVote(session, { playerName: "Sam", vote: 3 }).error.code
+      ).toBe("SPECTATOR_CANNOT_VOTE");
+
+      session = game.castVote(session, { playerName: "Alice", vote: 3 }).session;
+
+      expect(
+        game.castVote(session, { playerName: "Alice", vote: 8 }).error.code
+      ).toBe("VOTING_CLOSED");
+    });
+  });
+
+  describe("decks", () => {
+    test("should only accept votes from the session's deck", () => {
+      const checked = game.validateSessionOptions({ deck: "tshirt" });
+      let session = game.createSession("GAME001", checked.options);
+      session = game.joinSession(session, { playerName: "Alice" }).session;
+
+      expect(game.castVote(session, { playerName: "Alice", vote: 5 }).error.code).toBe(
+        "INVALID_VOTE"
+      );
+      expect(
+        game.castVote(session, { playerName: "Alice", vote: "M" }).session.players
+          .Alice.vote
+      ).toBe("M");
+    });
+
+    test("should store the deck's card when a vote arrives as a string", () => {
+      const checked = game.validateSessionOptions({ deck: "modified-fibonacci" });
+      let session = game.createSession("GAME001", checked.options);
+      session = game.joinSession(session, { playerName: "Alice" }).session;
+
+      const result = game.castVote(session, { playerName: "Alice", vote: "0.5" });
+
+      expect(result.session.players.Alice.vote).toBe(0.5);
+    });
+
+    test("should validate custom decks", () => {
+      expect(
+        game.validateDeck({ type: "custom", cards: [1, " Big ", "Huge"] }).deck
+      ).toEqual({ type: "custom", cards: [1, "Big", "Huge"] });
+      expect(game.validateDeck({ type: "custom", cards: [1, "1"] }).error.code).toBe(
+        "INVALID_DECK"
+      );
+      expect(game.validateDeck({ type: "custom", cards: [1] }).error.code).toBe(
+        "INVALID_DECK"
+      );
+      expect(game.validateDeck("poker").error.code).toBe("INVALID_DECK");
+    });
+
+    test("should count ? and ☕ as votes but leave them out of consensus", () => {
+      let session = sessionWith([
+        { playerName: "Alice" },
+        { playerName: "Bob" },
+        { playerName: "Carol" },
+      ]);
+      session = game.castVote(session, { playerName: "Alice", vote: 5 }).session;
+      session = game.castVote(session, { playerName: "Bob", vote: "?" }).session;
+      const result = game.castVote(session, { playerName: "Carol", vote: "☕" });
+      const state = game.getSessionState(result.session);
+
+      expect(state.votesRevealed).toBe(true);
+      expect(state.hasConsensus).toBe(true);
+      expect(state.breakRequested).toBe(true);
+      expect(result.events.map((e) => e.name)).toEqual([
+        "breakRequested",
+        "sessionUpdate",
+      ]);
+    });
+
+    test("should not reach consensus when nobody gave an estimate", () => {
+      let session = sessionWith([{ playerName: "Alice" }]);
+      session = game.castVote(session, { playerName: "Alice", vote: "?" }).session;
+
+      expect(game.checkConsensus(session)).toBe(false);
+    });
+
+    test("should fall back to the Fibonacci deck for older sessions", () => {
+      const session = game.createSession("GAME001");
+      delete session.deck;
+
+      expect(game.getSessionState(session).deck.cards).toEqual([1, 2, 3, 5, 8, 13]);
+    });
+  });
+
+  describe("revealVotes", () => {
+    test("should let the facilitator reveal before everyone has voted", () => {
+      let session = sessionWith([
+        { playerName: "Sam", isSpectator: true },
+        { playerName: "Alice" },
+        { playerName: "Bob" },
+      ]);
+      session = game.castVote(session, { playerName: "Alice", vote: 5 }).session;
+
+      const result = game.revealVotes(session, { playerName: "Sam" });
+
+      expect(result.session.votesRevealed).toBe(true);
+      expect(result.events.map((e) => e.name)).toEqual([
+        "votesRevealed",
+        "sessionUpdate",
+      ]);
+      expect(game.revealVotes(result.session, { playerName: "Sam" }).error.code).toBe(
+        "ALREADY_REVEALED"
+      );
+    });
+
+    test("should reject reveals from anyone but the facilitator", () => {
+      const session = sessionWith([
+        { playerName: "Fay" },
+        { playerName: "Alice" },
+        { playerName: "Sam", isSpectator: true },
+      ]);
+
+      expect(session.facilitator).toBe("Fay");
+      expect(game.revealVotes(session, { playerName: "Alice" }).error.code).toBe(
+        "NOT_AUTHORIZED"
+      );
+      expect(game.revealVotes(session, { playerName: "Sam" }).error.code).toBe(
+        "NOT_AUTHORIZED"
+      );
+    });
+  });
+
+  describe("updateSettings", () => {
+    test("should keep votes hidden when auto-reveal is off", () => {
+      const session = game.createSession("GAME001", {
+        settings: { autoReveal: false },
+      });
+      const joined = game.joinSession(session, { playerName: "Alice" }).session;
+
+      const result = game.castVote(joined, { playerName: "Alice", vote: 8 });
+
+      expect(result.session.votesRevealed).toBe(false);
+      expect(result.events[0].data.settings.autoReveal).toBe(false);
+    });
+
+    test("should reveal a complete round when auto-reveal is turned back on", () => {
+      let session = sessionWith([
+        { playerName: "Sam", isSpectator: true },
+        { playerName: "Alice" },
+      ]);
+      session = game.updateSettings(session, {
+        playerName: "Sam",
+        settings: { autoReveal: false },
+      }).session;
+      session = game.castVote(session, { playerName: "Alice", vote: 3 }).session;
+
+      const result = game.updateSettings(session, {
+        playerName: "Sam",
+        settings: { autoReveal: true },
+      });
+
+      expect(result.session.votesRevealed).toBe(true);
+    });
+
+    test("should reject unknown or mistyped settings", () => {
+      expect(game.validateSettings({ autoReveal: "no" }).error.code).toBe(
+        "INVALID_SETTINGS"
+      );
+      expect(game.validateSettings({ colour: "red" }).error.code).toBe(
+        "INVALID_SETTINGS"
+      );
+      expect(game.validateSettings(undefined)).toEqual({ settings: {} });
+    });
+  });
+
+  describe("resetVotes", () => {
+    test("should clear votes when requested by the facilitator", () => {
+      let session = sessionWith([
+        { playerName: "Sam", isSpectator: true },
+        { playerName: "Alice" },
+      ]);
+      session = game.castVote(session, { playerName: "Alice", vote: 3 }).session;
+
+      const result = game.resetVotes(session, { playerName: "Sam" });
+
+      expect(result.session.votesRevealed).toBe(false);
+      expect(result.session.players.Alice.hasVoted).toBe(false);
+      expect(result.session.players.Alice.vote).toBeNull();
+      expect(result.events.map((e) => e.name)).toEqual([
+        "votesReset",
+        "sessionUpdate",
+      ]);
+    });
+
+    test("should reject resets from spectators who are not the facilitator", () => {
+      const session = sessionWith([
+        { playerName: "Alice" },
+        { playerName: "Sam", isSpectator: true },
+      ]);
+
+      expect(game.resetVotes(session, { playerName: "Sam" }).error.code).toBe(
+        "NOT_AUTHORIZED"
+      );
+      expect(game.getSessionState(session).players.Alice.isFacilitator).toBe(true);
+    });
+  });
+
+  describe("story backlog", () => {
+    function withStories(titles) {
+      let session = sessionWith([
+        { playerName: "Sam", isSpectator: true },
+        { playerName: "Alice" },
+      ]);
+      titles.forEach((title) => {
+        session = game.addStory(session, { playerName: "Sam", story: { title } })
+          .session;
+      });
+      return session;
+    }
+
+    test("should add stories and advance through them in order", () => {
+      let session = withStories(["Login page", "Search"]);
+
+      session = game.nextStory(session, { playerName: "Sam" }).session;
+      expect(game.getSessionState(session).currentStory.title).toBe("Login page");
+
+      session = game.castVote(session, { playerName: "Alice", vote: 3 }).session;
+      const result = game.nextStory(session, { playerName: "Sam" });
+      const state = game.getSessionState(result.session);
+
+      expect(state.currentStory.title).toBe("Search");
+      expect(state.stories.map((s) => s.status)).toEqual(["done", "pending"]);
+      expect(state.votesRevealed).toBe(false);
+      expect(state.players.Alice.hasVoted).toBe(false);
+      expect(result.events.map((e) => e.name)).toEqual([
+        "storyChanged",
+        "sessionUpdate",
+      ]);
+    });
+
+    test("should skip the current story and follow a new order", () => {
+      let session = withStories(["A", "B", "C"]);
+      const ids = session.stories.map((s) => s.id);
+
+      session = game.reorderStories(session, {
+        playerName: "Sam",
+        storyIds: [ids[2], ids[0], ids[1]],
+      }).session;
+      session = game.nextStory(session, { playerName: "Sam" }).session;
+      session = game.skipStory(session, { playerName: "Sam" }).session;
+
+      expect(game.getCurrentStory(session).title).toBe("A");
+      expect(session.stories[0].status).toBe("skipped");
+    });
+
+    test("should reject bad stories, bad orders and voters", () => {
+      const session = withStories(["A", "B"]);
+
+      expect(
+        game.addStory(session, { playerName: "Sam", story: { title: " " } }).error
+          .code
+      ).toBe("INVALID_STORY");
+      expect(
+        game.addStory(session, {
+          playerName: "Sam",
+          story: { title: "C", link: "javascript:alert(1)" },
+        }).error.code
+      ).toBe("INVALID_STORY");
+      expect(
+        game.reorderStories(session, {
+          playerName: "Sam",
+          storyIds: [session.stories[0].id, session.stories[0].id],
+        }).error.code
+      ).toBe("INVALID_ORDER");
+      expect(game.nextStory(session, { playerName: "Alice" }).error.code).toBe(
+        "NOT_AUTHORIZED"
+      );
+    });
+  });
+
+  describe("commitEstimate", () => {
+    function revealedWith(votes) {
+      let session = sessionWith(
+        [{ playerName: "Sam", isSpectator: true }].concat(
+          Object.keys(votes).map((playerName) => ({ playerName }))
+        )
+      );
+      Object.keys(votes).forEach((playerName) => {
+        session = game.castVote(session, { playerName, vote: votes[playerName] })
+          .session;
+      });
+      return session;
+    }
+
+    test("should default to the consensus card and survive a reset", () => {
+      let session = revealedWith({ Alice: 5, Bob: 5 });
+
+      const result = game.commitEstimate(session, {
+        playerName: "Sam",
+        label: "Checkout flow",
+      });
+      session = game.resetVotes(result.session, { playerName: "Sam" }).session;
+
+      expect(game.getSessionState(session).estimates).toEqual([
+        expect.objectContaining({
+          label: "Checkout flow",
+          value: 5,
+          consensus: true,
+          committedBy: "Sam",
+        }),
+      ]);
+      expect(result.events[0].name).toBe("estimateCommitted");
+    });
+
+    test("should require an estimate when there is no consensus", () => {
+      const session = revealedWith({ Alice: 2, Bob: 13 });
+
+      expect(game.commitEstimate(session, { playerName: "Sam" }).error.code).toBe(
+        "MISSING_ESTIMATE"
+      );
+      expect(
+        game.commitEstimate(session, { playerName: "Sam", estimate: "?" }).error.code
+      ).toBe("INVALID_ESTIMATE");
+      expect(
+        game.commitEstimate(session, { playerName: "Sam", estimate: 8 }).session
+          .estimates[0].consensus
+      ).toBe(false);
+    });
+
+    test("should replace the estimate of the current story", () => {
+      let session = revealedWith({ Alice: 3 });
+      session = game.addStory(session, { playerName: "Sam", story: { title: "Search" } })
+        .session;
+      session = game.nextStory(session, { playerName: "Sam" }).session;
+      session = game.castVote(session, { playerName: "Alice", vote: 3 }).session;
+
+      session = game.commitEstimate(session, { playerName: "Sam" }).session;
+      session = game.commitEstimate(session, { playerName: "Sam", estimate: 5 }).session;
+
+      expect(session.estimates).toHaveLength(1);
+      expect(session.estimates[0].label).toBe("Search");
+      expect(game.getCurrentStory(session).estimate).toBe(5);
+    });
+  });
+
+  describe("round history", () => {
+    test("should archive every vote when a round is reset and count re-votes", () => {
+      let session = sessionWith([
+        { playerName: "Sam", isSpectator: true },
+        { playerName: "Alice" },
+        { playerName: "Bob" },
+      ]);
+      session = game.castVote(session, { playerName: "Alice", vote: 3 }).session;
+      session = game.castVote(session, { playerName: "Bob", vote: 8 }).session;
+      session = game.resetVotes(session, { playerName: "Sam" }).session;
+      session = game.castVote(session, { playerName: "Alice", vote: 5 }).session;
+      session = game.resetVotes(session, { playerName: "Sam" }).session;
+
+      const rounds = game.getRounds(session);
+
+      expect(rounds).toHaveLength(2);
+      expect(rounds[0]).toMatchObject({
+        number: 1,
+        votes: { Alice: 3, Bob: 8 },
+        consensus: { reached: false },
+        revotes: 0,
+      });
+      expect(rounds[0].revealedAt).not.toBeNull();
+      expect(rounds[0].durationSeconds).toBeGreaterThanOrEqual(0);
+      expect(rounds[1]).toMatchObject({ number: 2, revealedAt: null, revotes: 1 });
+    });
+
+    test("should only count a reset as a re-vote when it keeps the issue key", () => {
+      let session = sessionWith([
+        { playerName: "Sam", isSpectator: true },
+        { playerName: "Alice" },
+      ]);
+      const voteOn = (issueKey) => {
+        session = game.resetVotes(session, { playerName: "Sam", issueKey }).session;
+        session = game.castVote(session, { playerName: "Alice", vote: 3 }).session;
+      };
+      voteOn("PROJ-1");
+      voteOn("PROJ-1");
+      voteOn("PROJ-2");
+      session = game.resetVotes(session, { playerName: "Sam", issueKey: "PROJ-3" }).session;
+
+      expect(
+        game.getRounds(session).map((round) => [round.issueKey, round.revotes])
+      ).toEqual([
+        ["PROJ-1", 0],
+        ["PROJ-1", 1],
+        ["PROJ-2", 0],
+      ]);
+      expect(session.revoteCount).toBe(0);
+    });
+
+    test("should archive the story when moving to the next one", () => {
+      let session = sessionWith([
+        { playerName: "Sam", isSpectator: true },
+        { playerName: "Alice" },
+      ]);
+      session = game.addStory(session, { playerName: "Sam", story: { title: "Login" } })
+        .session;
+      session = game.nextStory(session, { playerName: "Sam" }).session;
+      session = game.castVote(session, { playerName: "Alice", vote: 2 }).session;
+      session = game.nextStory(session, { playerName: "Sam" }).session;
+
+      expect(game.getRounds(session)[0]).toMatchObject({
+        storyTitle: "Login",
+        consensus: { reached: true, card: 2 },
+      });
+      expect(session.revoteCount).toBe(0);
+    });
+
+    test("should not archive rounds nobody voted in", () => {
+      const session = sessionWith([{ playerName: "Sam", isSpectator: true }]);
+
+      expect(
+        game.getRounds(game.resetVotes(session, { playerName: "Sam" }).session)
+      ).toEqual([]);
+    });
+  });
+
+  describe("facilitator hand-off", () => {
+    test("should hand the role to another connected player", () => {
+      let session = sessionWith([{ playerName: "Fay" }, { playerName: "Bob" }]);
+
+      const result = game.transferFacilitator(session, {
+        playerName: "Fay",
+        newFacilitator: "Bob",
+      });
+
+      expect(result.session.facilitator).toBe("Bob");
+      expect(result.events[0]).toEqual({
+        name: "facilitatorChanged",
+        data: { facilitator: "Bob", previous: "Fay", reason: "handoff" },
+      });
+      expect(
+        game.transferFacilitator(result.session, {
+          playerName: "Fay",
+          newFacilitator: "Fay",
+        }).error.code
+      ).toBe("NOT_AUTHORIZED");
+
+      session = game.leaveSession(session, { playerName: "Bob" }).session;
+      expect(
+        game.transferFacilitator(session, { playerName: "Fay", newFacilitator: "Bob" })
+          .error.code
+      ).toBe("PLAYER_DISCONNECTED");
+    });
+
+    test("should promote the longest-connected player after the grace period", () => {
+      let session = sessionWith([
+        { playerName: "Fay" },
+        { playerName: "Bob" },
+        { playerName: "Cara" },
+      ]);
+      session.players.Bob.connectedAt = "2026-01-01T10:05:00.000Z";
+      session.players.Cara.connectedAt = "2026-01-01T10:00:00.000Z";
+      session = game.leaveSession(session, { playerName: "Fay" }).session;
+
+      expect(game.promoteFacilitator(session).error.code).toBe("FACILITATOR_PRESENT");
+
+      const later = Date.now() + game.FACILITATOR_GRACE_SECONDS * 1000;
+      const result = game.promoteFacilitator(session, { now: later });
+
+      expect(result.session.facilitator).toBe("Cara");
+      expect(result.events[0].data.reason).toBe("promoted");
+    });
+  });
+
+  describe("Jira issue keys", () => {
+    test("should key a round from resetVotes and keep its revealed outcome", () => {
+      let session = sessionWith([
+        { playerName: "Sam", isSpectator: true },
+        { playerName: "Alice" },
+      ]);
+      session = game.resetVotes(session, { playerName: "Sam", issueKey: " pp-12 " })
+        .session;
+      session = game.castVote(session, { playerName: "Alice", vote: 5 }).session;
+
+      expect(game.getSessionState(session).issueKey).toBe("PP-12");
+      expect(game.getIssueEstimates(session)).toEqual([
+        expect.objectContaining({
+          issueKey: "PP-12",
+          estimate: 5,
+          storyPoints: 5,
+          committed: false,
+        }),
+      ]);
+
+      session = game.commitEstimate(session, { playerName: "Sam", estimate: 8 }).session;
+      session = game.resetVotes(session, { playerName: "Sam" }).session;
+
+      expect(session.issueKey).toBeNull();
+      expect(game.getRounds(session)[0].issueKey).toBe("PP-12");
+      expect(game.getIssueEstimates(session)).toEqual([
+        expect.objectContaining({ issueKey: "PP-12", storyPoints: 8, committed: true }),
+      ]);
+    });
+
+    test("should use the current story's key when it is a Jira key", () => {
+      let session = sessionWith([{ playerName: "Sam", isSpectator: true }]);
+      session = game.addStory(session, {
+        playerName: "Sam",
+        story: { title: "Search", key: "PP-3" },
+      }).session;
+      session = game.nextStory(session, { playerName: "Sam" }).session;
+
+      expect(game.roundIssueKey(session)).toBe("PP-3");
+    });
+
+    test("should reject an issue key Jira would not accept", () => {
+      const session = sessionWith([{ playerName: "Sam", isSpectator: true }]);
+      const result = game.resetVotes(session, { playerName: "Sam", issueKey: "12-PP" });
+
+      expect(result.error.code).toBe("INVALID_ISSUE_KEY");
+    });
+  });
+
+  describe("leaveSession", () => {
+    test("should keep the player but mark them disconnected", () => {
+      const session = sessionWith([{ playerName: "Alice" }]);
+      const result = game.leaveSession(session, { playerName: "Alice" });
+
+      expect(result.session.players.Alice).toBeDefined();
+      expect(game.getSessionState(result.session).players.Alice.connected).toBe(
+        false
+      );
+      expect(result.events[0].name).toBe("playerLeft");
+    });
+  });
+});
@@ -0,0 +1,135 @@
+// tests/unit/import.test.js
+// Unit tests for the story backlog import
+// Directory: root project folder (planning-poker-serverless/)
+
+const db = require("../../serverless/db");
+const api = require("../../serverless/api");
+const websocketHandler = require("../../serverless/websocket-handler");
+const { parseCsv, parseImport } = require("../../serverless/import");
+const playerTokens = require("../../serverless/player-token");
+
+// A CSV upload to importStories, sent as playerName with the given token
+function importRequest(sessionCode, playerName, playerToken) {
+  return {
+    pathParameters: { sessionCode },
+    headers: { "content-type": "text/csv", "x-player-token": playerToken },
+    queryStringParameters: { playerName },
+    body: "title,key\nLogin,PP-1\n,PP-2\n",
+  };
+}
+
+describe("Story Import", () => {
+  test("should parse quoted CSV fields with commas, quotes and line breaks", () => {
+    const rows = parseCsv('Key;Title\r\nPP-1;"Login; ""SSO""\nfirst"\r\n\r\n');
+
+    expect(rows).toEqual([
+      ["Key", "Title"],
+      ["PP-1", 'Login; "SSO"\nfirst'],
+    ]);
+  });
+
+  test("should map CSV columns and report invalid rows", () => {
+    const csv = [
+      "Issue key,Summary,Story Points",
+      "PP-1,Login page,5",
+      "PP-2,,3",
+      "PP-3,Logout,XXXXXXXXXXXXL",
+    ].join("\n");
+
+    const result = parseImport(csv, "text/csv", { title: "Summary" });
+
+    expect(result.stories).toHaveLength(1);
+    expect(result.stories[0]).toMatchObject({
+      key: "PP-1",
+      title: "Login page",
+      estimate: 5,
+    });
+    expect(result.errors.map((error) => error.row)).toEqual([3, 4]);
+  });
+
+  test("should reject a mapping to a column the file does not have", () => {
+    const result = parseImport("Title\nLogin", "text/csv", { key: "Ticket" });
+
+    expect(result.error.code).toBe("INVALID_IMPORT");
+  });
+
+  test("should read a Jira JSON export through dotted paths", () => {
+    const body = JSON.stringify({
+      issues: [
+        { key: "PP-7", fields: { summary: "Search", customfield_10016: 8 } },
+      ],
+    });
+
+    const result = parseImport(body, "application/json", {
+      estimate: "fields.customfield_10016",
+    });
+
+    expect(result.stories[0]).toMatchObject({
+      key: "PP-7",
+      title: "Search",
+      estimate: 8,
+    });
+  });
+
+  test("should persist imported stories and broadcast them", async () => {
+    const sent = [];
+    websocketHandler.setApiClientFactory(() => ({
+      postToConnection: (params) => {
+        sent.push(JSON.parse(params.Data));
+        return { promise: () => Promise.resolve() };
+      },
+    }));
+    await db.createSession("IMPORT1");
+    await db.joinPlayer("IMPORT1", { playerName: "Alice" });
+    await db.storeConnection("conn-import", "IMPORT1", "Alice", false);
+    const token = playerTokens.issueToken(await db.getSession("IMPORT1"), "Alice");
+
+    const response = await api.importStories(importRequest("import1", "Alice", token));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.imported).toBe(1);
+    expect(body.errors).toHaveLength(1);
+    expect((await db.getSession("IMPORT1")).stories[0]).toMatchObject({
+      key: "PP-1",
+      title: "Login",
+      status: "pending",
+    });
+    expect(sent.map((message) => message.type)).toEqual([
+      "storiesImported",
+      "sessionUpdate",
+    ]);
+  });
+
+  test("should only let the facilitator import stories", async () => {
+    await db.createSession("IMPORT2");
+    await db.joinPlayer("IMPORT2", { playerName: "Alice" });
+    await db.joinPlayer("IMPORT2", { playerName: "Bob" });
+    const session = await db.getSession("IMPORT2");
+
+    const responses = await Promise.all([
+      api.importStories(importRequest("IMPORT2", "Alice", undefined)),
+      api.importStories(importRequest("IMPORT2", "Alice", playerTokens.issueToken(session, "Bob"))),
+      api.importStories(importRequest("IMPORT2", "Bob", playerTokens.issueToken(session, "Bob"))),
+    ]);
+
+    expect(responses.map((response) => response.statusCode)).toEqual([403, 403, 403]);
+    expect(JSON.parse(responses[0].body).code).toBe("NOT_AUTHORIZED");
+    expect((await db.getSession("IMPORT2")).stories || []).toHaveLength(0);
+  });
+
+  test("should report an import as done when only the broadcast fails", async () => {
+    await db.createSession("IMPORT3");
+    await db.joinPlayer("IMPORT3", { playerName: "Alice" });
+    const token = playerTokens.issueToken(await db.getSession("IMPORT3"), "Alice");
+    const lookup = jest
+      .spyOn(db, "getConnectionsBySession")
+      .mockRejectedValue(new Error("Table unavailable"));
+
+    const response = await api.importStories(importRequest("IMPORT3", "Alice", token));
+    lookup.mockRestore();
+
+    expect(response.statusCode).toBe(200);
+    expect((await db.getSession("IMPORT3")).stories).toHaveLength(1);
+  });
+});
@@ -0,0 +1,68 @@
+// tests/unit/messages.test.js
+// Unit tests for the inbound message schemas
+// Directory: root project folder (planning-poker-serverless/)
+
+const {
+  MAX_MESSAGE_BYTES,
+  validateMessage,
+  parseMessage,
+} = require("../../serverless/messages");
+
+describe("Message Schemas", () => {
+  test("should keep only the declared fields of a valid message", () => {
+    const checked = validateMessage("joinSession", {
+      sessionCode: "ABC123",
+      playerName: "Alice",
+      isSpectator: false,
+      isAdmin: true,
+    });
+
+    expect(checked.data).toEqual({
+      sessionCode: "ABC123",
+      playerName: "Alice",
+      isSpectator: false,
+    });
+  });
+
+  test("should treat missing data as an empty object", () => {
+    expect(validateMessage("revealVotes", undefined).data).toEqual({});
+    expect(validateMessage("joinSession", undefined).error).toEqual({
+      code: "INVALID_MESSAGE",
+      message: "playerName is required",
+      field: "playerName",
+    });
+  });
+
+  test("should name the failing field when a type is wrong", () => {
+    expect(validateMessage("castVote", { vote: ["5"] }).error).toEqual({
+      code: "INVALID_MESSAGE",
+      message: "vote must be string or number, not array",
+      field: "vote",
+    });
+    expect(validateMessage("castVote", { vote: 8 }).data).toEqual({ vote: 8 });
+    expect(validateMessage("castVote", { vote: "?" }).data).toEqual({ vote: "?" });
+    expect(validateMessage("castVote", { vote: Infinity }).error.field).toBe("vote");
+    expect(
+      validateMessage("reorderStories", { storyIds: ["s1", 2] }).error.field
+    ).toBe("storyIds[1]");
+    expect(validateMessage("updateSettings", "autoReveal").error.field).toBe("data");
+  });
+
+  test("should reject unknown actions and oversized messages", () => {
+    expect(validateMessage("dropTables", {}).error.code).toBe("UNKNOWN_ACTION");
+
+    const story = { title: "x".repeat(MAX_MESSAGE_BYTES) };
+    expect(validateMessage("addStory", { story }).error.code).toBe(
+      "MESSAGE_TOO_LARGE"
+    );
+  });
+
+  test("should parse raw frames without throwing", () => {
+    expect(parseMessage("{not json").error.code).toBe("INVALID_MESSAGE");
+    expect(parseMessage("[1,2]").error.code).toBe("INVALID_MESSAGE");
+    expect(parseMessage(undefined).error.code).toBe("INVALID_MESSAGE");
+    expect(parseMessage('{"action":"nextStory"}').message).toEqual({
+      action: "nextStory",
+    });
+  });
+});
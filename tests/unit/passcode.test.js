@@ -0,0 +1,72 @@
+// tests/unit/passcode.test.js
+// Unit tests for per-session passcodes
+// Directory: root project folder (planning-poker-serverless/)
+
+const db = require("../../serverless/db");
+const game = require("../../serverless/game");
+const { hashPasscode, verifyPasscode } = require("../../serverless/passcode");
+
+describe("Session Passcodes", () => {
+  test("should store a salted hash that only the passcode matches", () => {
+    const first = hashPasscode("blue-moon");
+    const second = hashPasscode("blue-moon");
+
+    expect(first).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{64}$/);
+    expect(first).not.toBe(second);
+    expect(verifyPasscode("blue-moon", first)).toBe(true);
+    expect(verifyPasscode("blue-mood", first)).toBe(false);
+    expect(verifyPasscode("blue-moon", "not a hash")).toBe(false);
+  });
+
+  test("should hash the passcode given at creation and never expose it", () => {
+    const checked = game.validateSessionOptions({ passcode: "blue-moon" });
+    const session = game.createSession("PASS001", checked.options);
+
+    expect(checked.options.passcode).toBeUndefined();
+    expect(session.passcodeHash).toMatch(/^scrypt\$/);
+    expect(game.getSessionState(session).hasPasscode).toBe(true);
+    expect(JSON.stringify(game.getSessionState(session))).not.toContain("blue-moon");
+    expect(game.validateSessionOptions({ passcode: "abc" }).error.code).toBe(
+      "INVALID_PASSCODE"
+    );
+  });
+
+  test("should check the passcode on join and on reconnect", () => {
+    const { options } = game.validateSessionOptions({ passcode: "blue-moon" });
+    const session = game.createSession("PASS002", options);
+
+    expect(game.joinSession(session, { playerName: "Alice" }).error.code).toBe(
+      "PASSCODE_REQUIRED"
+    );
+    expect(
+      game.joinSession(session, { playerName: "Alice", passcode: "red-sun" }).error
+        .code
+    ).toBe("INVALID_PASSCODE");
+
+    const joined = game.joinSession(session, {
+      playerName: "Alice",
+      passcode: "blue-moon",
+    }).session;
+
+    expect(game.joinSession(joined, { playerName: "Alice" }).error.code).toBe(
+      "PASSCODE_REQUIRED"
+    );
+  });
+
+  test("should check the passcode when joining through db.js", async () => {
+    const { options } = game.validateSessionOptions({ passcode: "blue-moon" });
+    await db.createSession("PASS003", options);
+
+    const rejected = await db.joinPlayer("PASS003", {
+      playerName: "Alice",
+      passcode: "wrong",
+    });
+    const joined = await db.joinPlayer("PASS003", {
+      playerName: "Alice",
+      passcode: "blue-moon",
+    });
+
+    expect(rejected.error.code).toBe("INVALID_PASSCODE");
+    expect(joined.session.players.Alice).toBeDefined();
+  });
+});
@@ -0,0 +1,38 @@
+// tests/unit/player-token.test.js
+// Unit tests for the player token secret check
+// Directory: root project folder (planning-poker-serverless/)
+
+describe("Player Tokens", () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...saved };
+  });
+
+  // Load a fresh copy of player-token.js under the given environment
+  const loadWith = (env) => {
+    process.env = { ...saved, ...env };
+    Object.keys(env).forEach((name) => {
+      if (env[name] === undefined) delete process.env[name];
+    });
+    return () => jest.isolateModules(() => require("../../serverless/player-token"));
+  };
+
+  test("should refuse to start without a secret outside offline and test runs", () => {
+    const load = loadWith({ PLAYER_TOKEN_SECRET: undefined, IS_OFFLINE: undefined, NODE_ENV: "production" });
+
+    expect(load).toThrow("PLAYER_TOKEN_SECRET must be set");
+  });
+
+  test("should start without a secret when running offline", () => {
+    const load = loadWith({ PLAYER_TOKEN_SECRET: undefined, IS_OFFLINE: "true", NODE_ENV: "production" });
+
+    expect(load).not.toThrow();
+  });
+
+  test("should start in production once the secret is set", () => {
+    const load = loadWith({ PLAYER_TOKEN_SECRET: "s3cret", IS_OFFLINE: undefined, NODE_ENV: "production" });
+
+    expect(load).not.toThrow();
+  });
+});
@@ -0,0 +1,158 @@
+// tests/unit/rate-limit.test.js
+// Unit tests for brute-force protection on passwords, passcodes and session codes
+// Directory: root project folder (planning-poker-serverless/)
+
+const db = require("../../serverless/db");
+const game = require("../../serverless/game");
+const api = require("../../serverless/api");
+const websocketHandler = require("../../serverless/websocket-handler");
+const { createMemoryStore } = require("../../serverless/storage/memory");
+const {
+  MAX_FAILURES,
+  createRateLimiter,
+  attemptKeys,
+} = require("../../serverless/rate-limit");
+
+describe("Rate Limiting", () => {
+  test("should lock a key out after repeated failures, doubling each time", async () => {
+    let now = Date.now();
+    const limiter = createRateLimiter(createMemoryStore(), { now: () => now });
+    const keys = attemptKeys("10.0.0.1", "socket-1");
+
+    for (let i = 1; i < MAX_FAILURES; i++) {
+      expect(await limiter.recordFailure(keys)).toBeNull();
+    }
+    const locked = await limiter.recordFailure(keys);
+
+    expect(locked).toEqual({
+      code: "RATE_LIMITED",
+      message: "Too many failed attempts. Try again in 30 seconds.",
+      retryAfter: 30,
+    });
+    expect((await limiter.check(["ip:10.0.0.1"])).retryAfter).toBe(30);
+    expect(await limiter.check(["ip:10.0.0.2"])).toBeNull();
+
+    now += 31 * 1000;
+    expect(await limiter.check(keys)).toBeNull();
+
+    for (let i = 1; i < MAX_FAILURES; i++) {
+      await limiter.recordFailure(keys);
+    }
+    expect((await limiter.recordFailure(keys)).retryAfter).toBe(60);
+  });
+
+  test("should forget failures once their window has expired", async () => {
+    const store = createMemoryStore();
+    const limiter = createRateLimiter(store);
+
+    await store.putAttempts({
+      key: "ip:10.0.0.3",
+      failures: MAX_FAILURES - 1,
+      lockouts: 3,
+      expiresAt: Math.floor(Date.now() / 1000) - 1,
+    });
+
+    expect(await limiter.recordFailure(["ip:10.0.0.3"])).toBeNull();
+    expect((await store.getAttempts("ip:10.0.0.3")).failures).toBe(1);
+  });
+
+  test("should answer guessed session codes with 429 and Retry-After", async () => {
+    const event = {
+      pathParameters: { sessionCode: "nosuch1" },
+      requestContext: { identity: { sourceIp: "203.0.113.5" } },
+    };
+
+    const responses = [];
+    for (let i = 0; i <= MAX_FAILURES; i++) {
+      responses.push(await api.getSession(event));
+    }
+    const last = responses[responses.length - 1];
+    const body = JSON.parse(last.body);
+
+    expect(responses[0].statusCode).toBe(404);
+    expect(responses[MAX_FAILURES - 1].statusCode).toBe(429);
+    expect(last.statusCode).toBe(429);
+    expect(last.headers["Retry-After"]).toBe(String(body.retryAfter));
+    expect(body).toMatchObject({ code: "RATE_LIMITED", error: "Too many attempts" });
+  });
+
+  test("should lock out a WebSocket connection guessing a passcode", async () => {
+    const sent = [];
+    websocketHandler.setApiClientFactory(() => ({
+      postToConnection: (params) => {
+        sent.push(JSON.parse(params.Data));
+        return { promise: () => Promise.resolve() };
+      },
+    }));
+    const { options } = game.validateSessionOptions({ passcode: "blue-moon" });
+    await db.createSession("RATE001", options);
+
+    const join = (passcode) =>
+      websocketHandler.message({
+        requestContext: {
+          connectionId: "conn-guess",
+          domainName: "abc123.execute-api.us-east-1.amazonaws.com",
+          stage: "prod",
+        },
+        body: JSON.stringify({
+          action: "joinSession",
+          data: { sessionCode: "RATE001", playerName: "Mallory", passcode },
+        }),
+      });
+
+    for (let i = 0; i < MAX_FAILURES; i++) {
+      await join("guess-" + i);
+    }
+    await join("blue-moon");
+
+    const errors = sent.filter((message) => message.type === "error");
+    expect(errors[0].code).toBe("INVALID_PASSCODE");
+    expect(errors[MAX_FAILURES - 1]).toMatchObject({
+      code: "RATE_LIMITED",
+      retryAfter: 30,
+    });
+    expect(errors[MAX_FAILURES].code).toBe("RATE_LIMITED");
+    expect((await db.getSession("RATE001")).players.Mallory).toBeUndefined();
+  });
+
+  test("should count WebSocket joins to unknown session codes as guesses", async () => {
+    const sent = [];
+    websocketHandler.setApiClientFactory(() => ({
+      postToConnection: (params) => {
+        sent.push({ connectionId: params.ConnectionId, message: JSON.parse(params.Data) });
+        return { promise: () => Promise.resolve() };
+      },
+    }));
+    const join = (connectionId, sessionCode) =>
+      websocketHandler.message({
+        requestContext: {
+          connectionId,
+          domainName: "abc123.execute-api.us-east-1.amazonaws.com",
+          stage: "prod",
+        },
+        body: JSON.stringify({
+          action: "joinSession",
+          data: { sessionCode, playerName: "Mallory" },
+        }),
+      });
+
+    for (let i = 0; i < MAX_FAILURES; i++) {
+      await join("conn-probe", "PROBE00" + i);
+    }
+    await join("conn-new", undefined);
+
+    const probeErrors = sent
+      .filter((entry) => entry.connectionId === "conn-probe")
+      .map((entry) => entry.message.code);
+    const joined = sent.find(
+      (entry) => entry.connectionId === "conn-new" && entry.message.type === "sessionJoined"
+    );
+
+    expect(probeErrors[0]).toBe("SESSION_NOT_FOUND");
+    expect(probeErrors[MAX_FAILURES - 1]).toBe("RATE_LIMITED");
+    expect(await db.getSession("PROBE000")).toBeUndefined();
+    // A join without a code still starts a new session
+    expect(joined.message.data.playerName).toBe("Mallory");
+    expect(await db.getSession(joined.message.data.sessionCode)).toBeDefined();
+  });
+});
@@ -0,0 +1,65 @@
+// tests/unit/session-code.test.js
+// Unit tests for the shared session code generator
+// Directory: root project folder (planning-poker-serverless/)
+
+const db = require("../../serverless/db");
+const {
+  ALPHABET,
+  generateSessionCode,
+  createSessionCode,
+} = require("../../serverless/session-code");
+
+describe("Session Codes", () => {
+  afterEach(() => {
+    delete process.env.SESSION_CODE_LENGTH;
+  });
+
+  test("should use an alphabet without look-alike characters", () => {
+    expect(ALPHABET).toHaveLength(32);
+    expect(ALPHABET).not.toMatch(/[0O1I]/);
+
+    for (let i = 0; i < 50; i++) {
+      expect(generateSessionCode()).toMatch(/^[A-HJ-NP-Z2-9]{8}$/);
+    }
+  });
+
+  test("should take the length from SESSION_CODE_LENGTH when it is in range", () => {
+    process.env.SESSION_CODE_LENGTH = "6";
+    expect(generateSessionCode()).toHaveLength(6);
+
+    process.env.SESSION_CODE_LENGTH = "3";
+    expect(generateSessionCode()).toHaveLength(8);
+
+    expect(generateSessionCode(12)).toHaveLength(12);
+  });
+
+  test("should skip codes that an existing session already uses", async () => {
+    const seen = [];
+    const code = await createSessionCode((candidate) => {
+      seen.push(candidate);
+      return seen.length < 3 ? { sessionCode: candidate } : undefined;
+    });
+
+    expect(seen).toHaveLength(3);
+    expect(code).toBe(seen[2]);
+  });
+
+  test("should give up when every try collides", async () => {
+    await expect(createSessionCode(() => ({}))).rejects.toThrow(
+      "Could not find a free session code after 5 tries"
+    );
+  });
+
+  test("should check new codes against db.getSession by default", async () => {
+    const taken = await db.createSession("TAKEN234");
+    const getSession = jest
+      .spyOn(db, "getSession")
+      .mockResolvedValueOnce(taken);
+
+    const code = await createSessionCode();
+
+    expect(getSession).toHaveBeenCalledTimes(2);
+    expect(code).toBe(getSession.mock.calls[1][0]);
+    getSession.mockRestore();
+  });
+});
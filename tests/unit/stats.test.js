@@ -0,0 +1,66 @@
+// tests/unit/stats.test.js
+// Unit tests for the round statistics shown on reveal
+// Directory: root project folder (planning-poker-serverless/)
+
+const game = require("../../serverless/game");
+const { roundStats } = require("../../serverless/stats");
+
+function estimates(votes) {
+  return Object.keys(votes).map((playerName) => ({
+    playerName,
+    vote: votes[playerName],
+  }));
+}
+
+describe("Round Statistics", () => {
+  test("should summarise a numeric round and flag the outliers", () => {
+    const stats = roundStats(
+      estimates({ Alice: 3, Bob: 5, Carol: 5, Dan: 13 }),
+      [1, 2, 3, 5, 8, 13]
+    );
+
+    expect(stats).toEqual({
+      count: 4,
+      average: 6.5,
+      median: 5,
+      mode: [5],
+      min: 3,
+      max: 13,
+      standardDeviation: 3.84,
+      nearestCard: 8,
+      outliers: { high: ["Dan"], low: ["Alice"] },
+    });
+  });
+
+  test("should compare label decks by their position", () => {
+    const stats = roundStats(
+      estimates({ Alice: "S", Bob: "XL" }),
+      ["XS", "S", "M", "L", "XL", "XXL"]
+    );
+
+    expect(stats.average).toBeNull();
+    expect(stats.min).toBe("S");
+    expect(stats.max).toBe("XL");
+    expect(stats.nearestCard).toBe("L");
+  });
+
+  test("should report no outliers when everyone agrees", () => {
+    const stats = roundStats(estimates({ Alice: 8, Bob: 8 }), [1, 2, 3, 5, 8, 13]);
+
+    expect(stats.outliers).toEqual({ high: [], low: [] });
+    expect(stats.standardDeviation).toBe(0);
+  });
+
+  test("should only appear in the session state once votes are revealed", () => {
+    let session = game.createSession("STATS01");
+    session = game.joinSession(session, { playerName: "Alice" }).session;
+    session = game.joinSession(session, { playerName: "Bob" }).session;
+    session = game.castVote(session, { playerName: "Alice", vote: 2 }).session;
+
+    expect(game.getSessionState(session).stats).toBeNull();
+
+    session = game.castVote(session, { playerName: "Bob", vote: "?" }).session;
+
+    expect(game.getSessionState(session).stats.count).toBe(1);
+  });
+});
@@ -0,0 +1,142 @@
+// tests/unit/storage.test.js
+// Unit tests for the pluggable storage adapters
+// Directory: root project folder (planning-poker-serverless/)
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const db = require("../../serverless/db");
+const { createStore } = require("../../serverless/storage");
+const { createMemoryStore } = require("../../serverless/storage/memory");
+const { createFileStore } = require("../../serverless/storage/file");
+const { createDynamoStore } = require("../../serverless/storage/dynamodb");
+
+describe("Storage Adapters", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "planning-poker-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    db.useStore(createMemoryStore());
+  });
+
+  test("should select the adapter by name", () => {
+    expect(createStore({ adapter: "memory" }).name).toBe("memory");
+    expect(
+      createStore({ adapter: "file", filePath: path.join(tempDir, "a.json") })
+        .name
+    ).toBe("file");
+    expect(() => createStore({ adapter: "redis" })).toThrow(
+      "Unknown storage adapter: redis"
+    );
+  });
+
+  test("should let db.js run on an injected store", async () => {
+    const store = createMemoryStore();
+    db.useStore(store);
+
+    await db.createSession("STORE01");
+    await db.joinPlayer("STORE01", { playerName: "Alice" });
+
+    const session = await store.getSession("STORE01");
+    expect(session.players.Alice).toBeDefined();
+  });
+
+  test("should keep sessions in the JSON file across restarts", async () => {
+    const filePath = path.join(tempDir, "sessions.json");
+
+    db.useStore(createFileStore({ filePath }));
+    await db.createSession("STORE02");
+    await db.joinPlayer("STORE02", { playerName: "Alice" });
+    await db.recordVote("STORE02", "Alice", 8);
+
+    // A fresh store simulates local-server.js starting again
+    db.useStore(createFileStore({ filePath }));
+    const session = await db.getSession("STORE02");
+
+    expect(session.players.Alice.vote).toBe(8);
+    expect(session.players.Alice.connected).toBe(false);
+    expect(session.votesRevealed).toBe(true);
+  });
+
+  test("should drop expired sessions when loading the file", () => {
+    const filePath = path.join(tempDir, "sessions.json");
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({
+        sessions: [
+          { sessionCode: "OLD", players: {}, expiresAt: 1 },
+          {
+            sessionCode: "NEW",
+            players: {},
+            expiresAt: Math.floor(Date.now() / 1000) + 60,
+          },
+        ],
+      })
+    );
+
+    const store = createFileStore({ filePath });
+
+    return Promise.all([
+      store.getSession("OLD"),
+      store.getSession("NEW"),
+    ]).then(([oldSession, newSession]) => {
+      expect(oldSession).toBeUndefined();
+      expect(newSession.sessionCode).toBe("NEW");
+    });
+  });
+
+  test("should update a single player with a nested DynamoDB expression", async () => {
+    const calls = [];
+    const client = {
+      update: (params) => {
+        calls.push(params);
+        return { promise: () => Promise.resolve({ Attributes: {} }) };
+      },
+    };
+    const store = createDynamoStore({ client, sessionsTable: "sessions" });
+
+    await store.writePlayer("DYN01", "Alice", { hasVoted: true, vote: 5 }, "vote");
+
+    expect(calls[0].UpdateExpression).toContain(
+      "#players.#player.#field0 = :field0"
+    );
+    expect(calls[0].UpdateExpression).not.toContain("#players = ");
+    expect(calls[0].ExpressionAttributeNames["#player"]).toBe("Alice");
+    expect(calls[0].ConditionExpression).toContain("#votesRevealed = :false");
+  });
+
+  test("should count failed attempts atomically and restart expired ones", async () => {
+    const calls = [];
+    const client = {
+      update: (params) => {
+        calls.push(params);
+        const error = new Error("The conditional request failed");
+        error.code = "ConditionalCheckFailedException";
+        return { promise: () => Promise.reject(error) };
+      },
+      put: (params) => {
+        calls.push(params);
+        return { promise: () => Promise.resolve({}) };
+      },
+    };
+    const store = createDynamoStore({ client, attemptsTable: "attempts" });
+
+    const attempts = await store.addFailedAttempt("ip:10.0.0.1", 2000000000);
+
+    expect(calls[0].UpdateExpression).toBe(
+      "ADD #failures :one SET #expiresAt = :expiresAt"
+    );
+    expect(calls[0].ConditionExpression).toContain("#expiresAt > :now");
+    expect(calls[1].TableName).toBe("attempts");
+    expect(attempts).toEqual({
+      key: "ip:10.0.0.1",
+      failures: 1,
+      expiresAt: 2000000000,
+    });
+  });
+});
@@ -0,0 +1,354 @@
+// tests/unit/websocket-handler.test.js
+// Unit tests for the Lambda WebSocket handler against a fake API Gateway
+// Directory: root project folder (planning-poker-serverless/)
+
+const db = require("../../serverless/db");
+const handler = require("../../serverless/websocket-handler");
+
+// Records every postToConnection call instead of talking to API Gateway
+function createFakeApiGateway() {
+  const fake = { endpoints: [], sent: [], gone: new Set() };
+
+  fake.factory = (endpoint) => {
+    fake.endpoints.push(endpoint);
+    return {
+      postToConnection: (params) => ({
+        promise: () => {
+          if (fake.gone.has(params.ConnectionId)) {
+            const error = new Error("Gone");
+            error.code = "GoneException";
+            error.statusCode = 410;
+            return Promise.reject(error);
+          }
+          fake.sent.push({
+            connectionId: params.ConnectionId,
+            message: JSON.parse(params.Data),
+          });
+          return Promise.resolve({});
+        },
+      }),
+    };
+  };
+
+  fake.messagesFor = (connectionId) =>
+    fake.sent
+      .filter((entry) => entry.connectionId === connectionId)
+      .map((entry) => entry.message);
+
+  return fake;
+}
+
+function wsEvent(connectionId, body) {
+  return {
+    requestContext: {
+      connectionId: connectionId,
+      domainName: "abc123.execute-api.us-east-1.amazonaws.com",
+      stage: "prod",
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  };
+}
+
+describe("WebSocket Handler", () => {
+  let fake;
+
+  // Joins only reach existing sessions (see db.joinPlayer)
+  beforeAll(() =>
+    Promise.all(
+      ["WSTEST1", "WSTEST2", "WSTEST3", "WSTEST4", "WSTEST5", "WSTOKEN", "WSREVEAL", "WSHOST", "WSSCHEMA"]
+        .map((sessionCode) => db.createSession(sessionCode))
+    )
+  );
+
+  beforeEach(() => {
+    fake = createFakeApiGateway();
+    handler.setApiClientFactory(fake.factory);
+  });
+
+  describe("Message delivery", () => {
+    test("should push sessionJoined and sessionUpdate to the joining browser", async () => {
+      await handler.message(
+        wsEvent("conn-a", {
+          action: "joinSession",
+          data: { sessionCode: "WSTEST1", playerName: "Alice" },
+        })
+      );
+
+      const types = fake.messagesFor("conn-a").map((m) => m.type);
+
+      expect(types).toContain("sessionJoined");
+      expect(types).toContain("sessionUpdate");
+    });
+
+    test("should send playerJoined and voteReceived to the right connections", async () => {
+      await handler.message(
+        wsEvent("conn-b", {
+          action: "joinSession",
+          data: { sessionCode: "WSTEST2", playerName: "Alice" },
+        })
+      );
+      await handler.message(
+        wsEvent("conn-c", {
+          action: "joinSession",
+          data: { sessionCode: "WSTEST2", playerName: "Bob" },
+        })
+      );
+      await handler.message(
+        wsEvent("conn-c", { action: "castVote", data: { vote: 8 } })
+      );
+
+      const aliceTypes = fake.messagesFor("conn-b").map((m) => m.type);
+      const bobTypes = fake.messagesFor("conn-c").map((m) => m.type);
+
+      expect(aliceTypes).toContain("playerJoined");
+      expect(bobTypes).not.toContain("playerJoined");
+      expect(bobTypes).toContain("voteReceived");
+      expect(aliceTypes).not.toContain("voteReceived");
+    });
+
+    test("should only let the token holder reclaim a taken name", async () => {
+      const join = (connectionId, playerToken) =>
+        handler.message(
+          wsEvent(connectionId, {
+            action: "joinSession",
+            data: { sessionCode: "WSTOKEN", playerName: "Alice", playerToken },
+          })
+        );
+
+      await join("conn-t1");
+      const joined = fake
+        .messagesFor("conn-t1")
+        .find((m) => m.type === "sessionJoined");
+
+      await join("conn-t2");
+      await join("conn-t3", joined.data.playerToken);
+
+      expect(fake.messagesFor("conn-t2")[0]).toMatchObject({
+        type: "error",
+        code: "NAME_TAKEN",
+      });
+      expect(fake.messagesFor("conn-t3")[0].type).toBe("sessionJoined");
+    });
+
+    test("should route revealVotes and updateSettings to the engine", async () => {
+      await handler.message(
+        wsEvent("conn-r", {
+          action: "joinSession",
+          data: { sessionCode: "WSREVEAL", playerName: "Sam", isSpectator: true },
+        })
+      );
+      await handler.message(
+        wsEvent("conn-r", {
+          action: "updateSettings",
+          data: { settings: { autoReveal: false } },
+        })
+      );
+      await handler.message(wsEvent("conn-r", { action: "revealVotes" }));
+
+      const session = await db.getSession("WSREVEAL");
+      const types = fake.messagesFor("conn-r").map((m) => m.type);
+
+      expect(session.settings.autoReveal).toBe(false);
+      expect(session.votesRevealed).toBe(true);
+      expect(types).toContain("votesRevealed");
+    });
+
+    test("should build the endpoint from the request context domain and stage", async () => {
+      const isOffline = process.env.IS_OFFLINE;
+      delete process.env.IS_OFFLINE;
+
+      try {
+        await handler.message(wsEvent("conn-d", { action: "ping" }));
+      } finally {
+        process.env.IS_OFFLINE = isOffline;
+      }
+
+      expect(fake.endpoints).toEqual([
+        "https://abc123.execute-api.us-east-1.amazonaws.com/prod",
+      ]);
+      expect(fake.messagesFor("conn-d")[0].type).toBe("error");
+    });
+  });
+
+  describe("Stale connections", () => {
+    test("should prune a gone connection and update the remaining players", async () => {
+      const removeSpy = jest.spyOn(db, "removeConnection");
+
+      await handler.message(
+        wsEvent("conn-e", {
+          action: "joinSession",
+          data: { sessionCode: "WSTEST3", playerName: "Alice" },
+        })
+      );
+      await handler.message(
+        wsEvent("conn-f", {
+          action: "joinSession",
+          data: { sessionCode: "WSTEST3", playerName: "Bob" },
+        })
+      );
+
+      fake.gone.add("conn-e");
+      fake.sent = [];
+
+      await handler.message(
+        wsEvent("conn-f", { action: "castVote", data: { vote: 3 } })
+      );
+
+      const updates = fake
+        .messagesFor("conn-f")
+        .filter((m) => m.type === "sessionUpdate");
+      const latest = updates[updates.length - 1].data;
+
+      expect(removeSpy).toHaveBeenCalledWith("conn-e");
+      expect(latest.players.Alice.connected).toBe(false);
+      expect(latest.players.Bob.hasVoted).toBe(true);
+
+      removeSpy.mockRestore();
+    });
+  });
+
+  describe("Facilitator", () => {
+    test("should hand the role over and promote a replacement after the grace period", async () => {
+      for (const [connectionId, playerName] of [
+        ["conn-h1", "Fay"],
+        ["conn-h2", "Bob"],
+        ["conn-h3", "Cara"],
+      ]) {
+        await handler.message(
+          wsEvent(connectionId, {
+            action: "joinSession",
+            data: { sessionCode: "WSHOST", playerName },
+          })
+        );
+      }
+
+      await handler.message(
+        wsEvent("conn-h1", {
+          action: "transferFacilitator",
+          data: { newFacilitator: "Cara" },
+        })
+      );
+      expect((await db.getSession("WSHOST")).facilitator).toBe("Cara");
+
+      // Cara leaves and stays away past the grace period
+      await handler.disconnect(wsEvent("conn-h3"));
+      await db.updatePlayer("WSHOST", "Cara", {
+        disconnectedAt: new Date(Date.now() - 120000).toISOString(),
+      });
+      fake.sent = [];
+
+      await handler.message(
+        wsEvent("conn-h2", { action: "castVote", data: { vote: 3 } })
+      );
+
+      const changed = fake
+        .messagesFor("conn-h2")
+        .find((m) => m.type === "facilitatorChanged");
+
+      expect(changed.data).toEqual({
+        facilitator: "Fay",
+        previous: "Cara",
+        reason: "promoted",
+      });
+      expect((await db.getSession("WSHOST")).facilitator).toBe("Fay");
+    });
+  });
+
+  describe("Persistence", () => {
+    test("should keep sessions and connections in db.js", async () => {
+      await handler.message(
+        wsEvent("conn-g", {
+          action: "joinSession",
+          data: { sessionCode: "WSTEST4", playerName: "Alice" },
+        })
+      );
+      await handler.message(
+        wsEvent("conn-g", { action: "castVote", data: { vote: 5 } })
+      );
+
+      const session = await db.getSession("WSTEST4");
+      const connection = await db.getConnection("conn-g");
+
+      expect(session.players.Alice.vote).toBe(5);
+      expect(session.votesRevealed).toBe(true);
+      expect(connection.playerName).toBe("Alice");
+    });
+
+    test("should mark the player disconnected when the socket closes", async () => {
+      await handler.message(
+        wsEvent("conn-h", {
+          action: "joinSession",
+          data: { sessionCode: "WSTEST5", playerName: "Alice" },
+        })
+      );
+      await handler.disconnect(wsEvent("conn-h"));
+
+      const session = await db.getSession("WSTEST5");
+
+      expect(await db.getConnection("conn-h")).toBeUndefined();
+      expect(session.players.Alice.connected).toBe(false);
+    });
+  });
+
+  describe("Message validation", () => {
+    test("should answer malformed JSON with an error instead of throwing", async () => {
+      const event = wsEvent("conn-bad");
+      event.body = "{not json";
+
+      const response = await handler.message(event);
+
+      expect(response.statusCode).toBe(200);
+      expect(fake.messagesFor("conn-bad")).toEqual([
+        { type: "error", code: "INVALID_MESSAGE", message: "Message is not valid JSON" },
+      ]);
+    });
+
+    test("should not throw when the rejected message's connection is gone", async () => {
+      fake.gone.add("conn-bad-gone");
+      const event = wsEvent("conn-bad-gone");
+      event.body = "{not json";
+
+      const response = await handler.message(event);
+
+      expect(response.statusCode).toBe(200);
+    });
+
+    test("should not throw when an error reply cannot be delivered", async () => {
+      fake.gone.add("conn-err-gone");
+      const lookup = jest.spyOn(db, "getConnection");
+
+      // No connection record: answered with "Session not found"
+      const notFound = await handler.message(
+        wsEvent("conn-err-gone", { action: "castVote", data: { vote: 5 } })
+      );
+      // A failing store: answered from the handler's catch
+      lookup.mockRejectedValueOnce(new Error("Table unavailable"));
+      const failed = await handler.message(
+        wsEvent("conn-err-gone", { action: "revealVotes", data: {} })
+      );
+      lookup.mockRestore();
+
+      expect(notFound.statusCode).toBe(200);
+      expect(failed.statusCode).toBe(200);
+    });
+
+    test("should reject a vote that is not a string or number before it is stored", async () => {
+      await handler.message(
+        wsEvent("conn-obj", {
+          action: "joinSession",
+          data: { sessionCode: "WSSCHEMA", playerName: "Alice" },
+        })
+      );
+      await handler.message(
+        wsEvent("conn-obj", { action: "castVote", data: { vote: { toString: "5" } } })
+      );
+
+      const errors = fake.messagesFor("conn-obj").filter((m) => m.type === "error");
+
+      expect(errors).toEqual([
+        expect.objectContaining({ code: "INVALID_MESSAGE", field: "vote" }),
+      ]);
+      expect((await db.getSession("WSSCHEMA")).players.Alice.hasVoted).toBe(false);
+    });
+  });
+});